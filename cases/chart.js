@@ -0,0 +1,192 @@
+/**
+ * Minimal SVG line charts, used to plot metrics on the history page and in the sweep mode.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PADDING = {top: 10, right: 12, bottom: 24, left: 48};
+
+/**
+ * Colors given to the series, in order.
+ */
+export const SERIES_COLORS = [
+  '#1f77b4',
+  '#ff7f0e',
+  '#2ca02c',
+  '#d62728',
+  '#9467bd',
+  '#8c564b',
+  '#e377c2',
+  '#17becf',
+];
+
+/**
+ * @typedef {Object} ChartPoint
+ * @property {number} x X value
+ * @property {number} y Y value
+ * @property {string} [title] Tooltip
+ * @property {boolean} [highlight] Draw the point larger
+ */
+
+/**
+ * @typedef {Object} ChartSeries
+ * @property {string} color Color
+ * @property {Array<ChartPoint>} points Points, sorted by x
+ * @property {number|null} [reference] Value drawn as a dashed horizontal line (e.g. a baseline)
+ */
+
+/**
+ * @typedef {Object} ChartOptions
+ * @property {Array<ChartSeries>} series Series
+ * @property {number} [width] Width in pixels
+ * @property {number} [height] Height in pixels
+ * @property {function(number): string} [formatX] Formats the x values of the axis labels
+ * @property {Array<number>} [xTicks] X values to label (default: the smallest and largest ones)
+ */
+
+/**
+ * @param {string} name Element name
+ * @param {Object<string, string|number>} attributes Attributes
+ * @return {SVGElement} Element
+ */
+function createSvgElement(name, attributes) {
+  const element = /** @type {SVGElement} */ (
+    document.createElementNS(SVG_NS, name)
+  );
+  for (const key in attributes) {
+    element.setAttribute(key, String(attributes[key]));
+  }
+  return element;
+}
+
+/**
+ * The y axis starts at 0; points with a non-finite value are left out.
+ * @param {ChartOptions} options Options
+ * @return {SVGElement} Chart
+ */
+export function createLineChart(options) {
+  const width = options.width ?? 420;
+  const height = options.height ?? 200;
+  const formatX = options.formatX ?? String;
+  const series = options.series.map((item) => ({
+    ...item,
+    points: item.points.filter(
+      (point) => Number.isFinite(point.x) && Number.isFinite(point.y),
+    ),
+  }));
+
+  const xValues = series.flatMap((item) => item.points.map((point) => point.x));
+  const yValues = series.flatMap((item) => [
+    ...item.points.map((point) => point.y),
+    ...(Number.isFinite(item.reference)
+      ? [/** @type {number} */ (item.reference)]
+      : []),
+  ]);
+  const minX = Math.min(...xValues);
+  const maxX = Math.max(...xValues);
+  const maxY = Math.max(...yValues, 0);
+  const yMax = maxY > 0 ? maxY * 1.1 : 1;
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+
+  /**
+   * @param {number} value X value
+   * @return {number} X coordinate
+   */
+  const x = (value) =>
+    PADDING.left +
+    (maxX > minX
+      ? ((value - minX) / (maxX - minX)) * plotWidth
+      : plotWidth / 2);
+  /**
+   * @param {number} value Y value
+   * @return {number} Y coordinate
+   */
+  const y = (value) => PADDING.top + plotHeight * (1 - value / yMax);
+
+  const svg = createSvgElement('svg', {
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+  });
+
+  for (const value of [0, yMax / 2, yMax]) {
+    svg.append(
+      createSvgElement('line', {
+        x1: PADDING.left,
+        x2: width - PADDING.right,
+        y1: y(value),
+        y2: y(value),
+        stroke: '#e5e5e5',
+      }),
+    );
+    const label = createSvgElement('text', {
+      'x': PADDING.left - 4,
+      'y': y(value) + 4,
+      'text-anchor': 'end',
+      'font-size': 10,
+    });
+    label.textContent = value.toFixed(1);
+    svg.append(label);
+  }
+
+  if (xValues.length) {
+    const ticks = options.xTicks ?? (maxX > minX ? [minX, maxX] : [minX]);
+    for (const tick of ticks) {
+      const anchor =
+        tick === minX && maxX > minX
+          ? 'start'
+          : tick === maxX && maxX > minX
+            ? 'end'
+            : 'middle';
+      const label = createSvgElement('text', {
+        'x': x(tick),
+        'y': height - 6,
+        'text-anchor': anchor,
+        'font-size': 10,
+      });
+      label.textContent = formatX(tick);
+      svg.append(label);
+    }
+  }
+
+  for (const item of series) {
+    if (Number.isFinite(item.reference)) {
+      const reference = /** @type {number} */ (item.reference);
+      svg.append(
+        createSvgElement('line', {
+          'x1': PADDING.left,
+          'x2': width - PADDING.right,
+          'y1': y(reference),
+          'y2': y(reference),
+          'stroke': item.color,
+          'stroke-dasharray': '4 3',
+        }),
+      );
+    }
+    svg.append(
+      createSvgElement('polyline', {
+        'points': item.points
+          .map((point) => `${x(point.x)},${y(point.y)}`)
+          .join(' '),
+        'fill': 'none',
+        'stroke': item.color,
+        'stroke-width': 1.5,
+      }),
+    );
+    for (const point of item.points) {
+      const circle = createSvgElement('circle', {
+        cx: x(point.x),
+        cy: y(point.y),
+        r: point.highlight ? 4 : 2.5,
+        fill: item.color,
+      });
+      if (point.title) {
+        const title = createSvgElement('title', {});
+        title.textContent = point.title;
+        circle.append(title);
+      }
+      svg.append(circle);
+    }
+  }
+  return svg;
+}
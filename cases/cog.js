@@ -0,0 +1,386 @@
+/**
+ * Writes synthetic Cloud-Optimized GeoTIFFs: tiled images with internal overviews, the headers of all
+ * the images first and the tiles of the smallest overviews first, so that a reader only needs a few
+ * small reads to show the whole image. The writer of the `geotiff` package only handles small 8-bit
+ * images in a single strip, hence this one. The tiles are left uncompressed.
+ */
+
+/**
+ * Data types of the samples, by label.
+ */
+export const DATA_TYPE_OPTIONS = {
+  'Uint8': 'uint8',
+  'Uint16': 'uint16',
+  'Int16': 'int16',
+  'Float32': 'float32',
+};
+
+/**
+ * @typedef {Object} DataType
+ * @property {Uint8ArrayConstructor|Uint16ArrayConstructor|Int16ArrayConstructor|Float32ArrayConstructor} ArrayType Array type of the samples
+ * @property {number} sampleFormat TIFF sample format: 1 (unsigned integer), 2 (signed integer) or 3 (floating point)
+ * @property {number} min Lowest generated value
+ * @property {number} max Highest generated value
+ * @property {number} nodata Value of the pixels without data
+ */
+
+/**
+ * Data types of the samples, by value of {@link DATA_TYPE_OPTIONS}. The floating point values look
+ * like elevations, in meters.
+ * @type {Object<string, DataType>}
+ */
+export const DATA_TYPES = {
+  uint8: {ArrayType: Uint8Array, sampleFormat: 1, min: 1, max: 255, nodata: 0},
+  uint16: {
+    ArrayType: Uint16Array,
+    sampleFormat: 1,
+    min: 1,
+    max: 65535,
+    nodata: 0,
+  },
+  int16: {
+    ArrayType: Int16Array,
+    sampleFormat: 2,
+    min: -32767,
+    max: 32767,
+    nodata: -32768,
+  },
+  float32: {
+    ArrayType: Float32Array,
+    sampleFormat: 3,
+    min: -500,
+    max: 8848,
+    nodata: -9999,
+  },
+};
+
+/**
+ * @typedef {Object} CogOptions
+ * @property {number} size Width and height of the full resolution image, in pixels
+ * @property {number} bands Number of bands
+ * @property {string} dataType Data type of the samples, see {@link DATA_TYPE_OPTIONS}
+ * @property {number} overviews Number of overviews, each half the size of the previous image; limited
+ * so that the smallest one still fills a tile
+ * @property {boolean} nodata Whether to leave areas without data, declared with the `GDAL_NODATA` tag
+ * @property {import('./random.js').RandomGenerator} random Random number generator
+ */
+
+/**
+ * @typedef {Object} IfdEntry
+ * @property {number} tag Tag
+ * @property {number} type Field type, see {@link FIELD_SIZES}
+ * @property {Array<number>|string} values Values
+ */
+
+const TILE_SIZE = 256;
+
+/**
+ * Half the width of the EPSG:3857 world, covered by the images.
+ */
+const HALF_WORLD_SIZE = 20037508.342789244;
+
+/**
+ * Pixels where the first band is below this value (from 0 to 1) have no data, when enabled.
+ */
+const NODATA_THRESHOLD = 0.4;
+
+/**
+ * Number of waves added up in each band.
+ */
+const WAVE_COUNT = 4;
+
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const DOUBLE = 12;
+
+/**
+ * Size in bytes of a value, by field type.
+ * @type {Object<number, number>}
+ */
+const FIELD_SIZES = {[ASCII]: 1, [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8};
+
+/**
+ * Smooth pseudo-terrain: a sum of waves with random frequencies and phases. The waves are separable,
+ * so that a value only costs a few multiplications.
+ * @param {number} size Size of the full resolution image
+ * @param {import('./random.js').RandomGenerator} random Random number generator
+ * @return {function(number, number): number} Value from 0 to 1 at a pixel of the full resolution image
+ */
+function createPattern(size, random) {
+  /** @type {Array<Float32Array>} */
+  const columns = [];
+  /** @type {Array<Float32Array>} */
+  const rows = [];
+  /** @type {Array<number>} */
+  const amplitudes = [];
+  let totalAmplitude = 0;
+  for (let i = 0; i < WAVE_COUNT; i++) {
+    const frequencyX = ((1 + random() * 3) * (i + 1) * 2 * Math.PI) / size;
+    const frequencyY = ((1 + random() * 3) * (i + 1) * 2 * Math.PI) / size;
+    const phaseX = random() * 2 * Math.PI;
+    const phaseY = random() * 2 * Math.PI;
+    const column = new Float32Array(size);
+    const row = new Float32Array(size);
+    for (let j = 0; j < size; j++) {
+      column[j] = Math.sin(frequencyX * j + phaseX);
+      row[j] = Math.cos(frequencyY * j + phaseY);
+    }
+    columns.push(column);
+    rows.push(row);
+    amplitudes.push(1 / (i + 1));
+    totalAmplitude += 1 / (i + 1);
+  }
+  return (x, y) => {
+    let value = 0;
+    for (let i = 0; i < WAVE_COUNT; i++) {
+      value += amplitudes[i] * columns[i][x] * rows[i][y];
+    }
+    return 0.5 + (0.5 * value) / totalAmplitude;
+  };
+}
+
+/**
+ * @param {IfdEntry} entry Entry
+ * @return {number} Size of the values in bytes
+ */
+function getValuesByteLength(entry) {
+  return (
+    FIELD_SIZES[entry.type] *
+    (entry.values.length + (entry.type === ASCII ? 1 : 0))
+  );
+}
+
+/**
+ * @param {Array<IfdEntry>} entries Entries
+ * @return {number} Size of the image file directory in bytes, with the values that do not fit in the entries
+ */
+function getIfdByteLength(entries) {
+  let length = 2 + entries.length * 12 + 4;
+  for (const entry of entries) {
+    const valuesLength = getValuesByteLength(entry);
+    if (valuesLength > 4) {
+      length += valuesLength + (valuesLength % 2);
+    }
+  }
+  return length;
+}
+
+/**
+ * @param {DataView} view View
+ * @param {number} offset Offset of the values
+ * @param {IfdEntry} entry Entry
+ * @param {boolean} littleEndian Byte order
+ */
+function writeValues(view, offset, entry, littleEndian) {
+  const {type, values} = entry;
+  if (typeof values === 'string') {
+    for (let i = 0; i < values.length; i++) {
+      view.setUint8(offset + i, values.charCodeAt(i));
+    }
+    view.setUint8(offset + values.length, 0);
+    return;
+  }
+  const size = FIELD_SIZES[type];
+  for (let i = 0; i < values.length; i++) {
+    if (type === SHORT) {
+      view.setUint16(offset + i * size, values[i], littleEndian);
+    } else if (type === LONG) {
+      view.setUint32(offset + i * size, values[i], littleEndian);
+    } else {
+      view.setFloat64(offset + i * size, values[i], littleEndian);
+    }
+  }
+}
+
+/**
+ * Writes an image file directory; the values that do not fit in the entries follow it.
+ * @param {DataView} view View
+ * @param {number} offset Offset of the directory
+ * @param {Array<IfdEntry>} entries Entries, sorted by tag
+ * @param {number} nextOffset Offset of the next directory, 0 for the last one
+ * @param {boolean} littleEndian Byte order
+ */
+function writeIfd(view, offset, entries, nextOffset, littleEndian) {
+  view.setUint16(offset, entries.length, littleEndian);
+  let valuesOffset = offset + 2 + entries.length * 12 + 4;
+  entries.forEach((entry, i) => {
+    const entryOffset = offset + 2 + i * 12;
+    view.setUint16(entryOffset, entry.tag, littleEndian);
+    view.setUint16(entryOffset + 2, entry.type, littleEndian);
+    view.setUint32(
+      entryOffset + 4,
+      entry.values.length + (entry.type === ASCII ? 1 : 0),
+      littleEndian,
+    );
+    const valuesLength = getValuesByteLength(entry);
+    if (valuesLength <= 4) {
+      writeValues(view, entryOffset + 8, entry, littleEndian);
+      return;
+    }
+    view.setUint32(entryOffset + 8, valuesOffset, littleEndian);
+    writeValues(view, valuesOffset, entry, littleEndian);
+    valuesOffset += valuesLength + (valuesLength % 2);
+  });
+  view.setUint32(offset + 2 + entries.length * 12, nextOffset, littleEndian);
+}
+
+/**
+ * Writes a Cloud-Optimized GeoTIFF covering the EPSG:3857 world.
+ * @param {CogOptions} options Options
+ * @return {ArrayBuffer} Content of the file
+ */
+export function writeCog(options) {
+  const {size, bands, random} = options;
+  const dataType = DATA_TYPES[options.dataType];
+  if (!dataType) {
+    throw new Error(`Unknown data type "${options.dataType}"`);
+  }
+  const {ArrayType, min, max, nodata} = dataType;
+  const isInteger = dataType.sampleFormat !== 3;
+  /** @type {Array<function(number, number): number>} */
+  const patterns = [];
+  for (let band = 0; band < bands; band++) {
+    patterns.push(createPattern(size, random));
+  }
+
+  const overviews = Math.max(
+    0,
+    Math.min(options.overviews, Math.floor(Math.log2(size / TILE_SIZE))),
+  );
+  const samplesPerTile = TILE_SIZE * TILE_SIZE * bands;
+  const tileByteLength = samplesPerTile * ArrayType.BYTES_PER_ELEMENT;
+
+  // the full resolution image first, then the overviews
+  const levels = [];
+  for (let level = 0; level <= overviews; level++) {
+    const levelSize = Math.ceil(size / 2 ** level);
+    const tileCount = Math.ceil(levelSize / TILE_SIZE) ** 2;
+    /** @type {Array<number>} */
+    const tileOffsets = new Array(tileCount).fill(0);
+    /** @type {Array<IfdEntry>} */
+    const entries = [
+      // reduced resolution image for the overviews
+      {tag: 254, type: LONG, values: [level ? 1 : 0]},
+      {tag: 256, type: LONG, values: [levelSize]},
+      {tag: 257, type: LONG, values: [levelSize]},
+      {
+        tag: 258,
+        type: SHORT,
+        values: new Array(bands).fill(ArrayType.BYTES_PER_ELEMENT * 8),
+      },
+      // no compression
+      {tag: 259, type: SHORT, values: [1]},
+      // black is zero
+      {tag: 262, type: SHORT, values: [1]},
+      {tag: 277, type: SHORT, values: [bands]},
+      // the samples of a pixel are stored together
+      {tag: 284, type: SHORT, values: [1]},
+      {tag: 322, type: SHORT, values: [TILE_SIZE]},
+      {tag: 323, type: SHORT, values: [TILE_SIZE]},
+      {tag: 324, type: LONG, values: tileOffsets},
+      {
+        tag: 325,
+        type: LONG,
+        values: new Array(tileCount).fill(tileByteLength),
+      },
+    ];
+    if (bands > 1) {
+      // extra samples of unspecified meaning
+      entries.push({
+        tag: 338,
+        type: SHORT,
+        values: new Array(bands - 1).fill(0),
+      });
+    }
+    entries.push({
+      tag: 339,
+      type: SHORT,
+      values: new Array(bands).fill(dataType.sampleFormat),
+    });
+    if (level === 0) {
+      const pixelSize = (2 * HALF_WORLD_SIZE) / size;
+      entries.push(
+        {tag: 33550, type: DOUBLE, values: [pixelSize, pixelSize, 0]},
+        {
+          tag: 33922,
+          type: DOUBLE,
+          values: [0, 0, 0, -HALF_WORLD_SIZE, HALF_WORLD_SIZE, 0],
+        },
+        {
+          tag: 34735,
+          type: SHORT,
+          // version, then model type (projected), raster type (pixel is area) and EPSG code
+          values: [1, 1, 0, 3, 1024, 0, 1, 1, 1025, 0, 1, 1, 3072, 0, 1, 3857],
+        },
+      );
+    }
+    if (options.nodata) {
+      entries.push({tag: 42113, type: ASCII, values: String(nodata)});
+    }
+    levels.push({level, levelSize, tileOffsets, entries});
+  }
+
+  // header, then all the directories, then the tiles from the smallest overview to the full resolution
+  let offset = 8;
+  const ifdOffsets = levels.map(({entries}) => {
+    const ifdOffset = offset;
+    offset += getIfdByteLength(entries);
+    return ifdOffset;
+  });
+  // the tiles are written through typed arrays, which need aligned offsets
+  offset = Math.ceil(offset / 8) * 8;
+  for (let i = levels.length - 1; i >= 0; i--) {
+    const {tileOffsets} = levels[i];
+    for (let tile = 0; tile < tileOffsets.length; tile++) {
+      tileOffsets[tile] = offset;
+      offset += tileByteLength;
+    }
+  }
+
+  const buffer = new ArrayBuffer(offset);
+  const view = new DataView(buffer);
+  // typed arrays use the byte order of the platform, so the file does too
+  const littleEndian = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+  view.setUint16(0, littleEndian ? 0x4949 : 0x4d4d);
+  view.setUint16(2, 42, littleEndian);
+  view.setUint32(4, ifdOffsets[0], littleEndian);
+  levels.forEach(({entries}, i) =>
+    writeIfd(
+      view,
+      ifdOffsets[i],
+      entries,
+      ifdOffsets[i + 1] ?? 0,
+      littleEndian,
+    ),
+  );
+
+  for (const {level, levelSize, tileOffsets} of levels) {
+    const tilesPerRow = Math.ceil(levelSize / TILE_SIZE);
+    const step = 2 ** level;
+    tileOffsets.forEach((tileOffset, tile) => {
+      const samples = new ArrayType(buffer, tileOffset, samplesPerTile);
+      const tileX = (tile % tilesPerRow) * TILE_SIZE;
+      const tileY = Math.floor(tile / tilesPerRow) * TILE_SIZE;
+      for (let row = 0; row < TILE_SIZE; row++) {
+        const y = (tileY + row) * step;
+        for (let column = 0; column < TILE_SIZE; column++) {
+          const x = (tileX + column) * step;
+          const index = (row * TILE_SIZE + column) * bands;
+          const first = x < size && y < size ? patterns[0](x, y) : -1;
+          // pixels beyond the image fill the last tiles
+          if (first < 0 || (options.nodata && first < NODATA_THRESHOLD)) {
+            samples.fill(options.nodata ? nodata : 0, index, index + bands);
+            continue;
+          }
+          for (let band = 0; band < bands; band++) {
+            const value = band === 0 ? first : patterns[band](x, y);
+            const sample = min + value * (max - min);
+            samples[index + band] = isInteger ? Math.round(sample) : sample;
+          }
+        }
+      }
+    });
+  }
+  return buffer;
+}
@@ -7,9 +7,14 @@ import {
   // @ts-ignore
 } from '@camptocamp/rendering-analyzer';
 import lilGui from 'lil-gui';
+import Feature from 'ol/Feature.js';
 import Map from 'ol/Map.js';
 import View from 'ol/View.js';
-import GeoJSON from 'ol/format/GeoJSON.js';
+import LineString from 'ol/geom/LineString.js';
+import MultiLineString from 'ol/geom/MultiLineString.js';
+import MultiPolygon from 'ol/geom/MultiPolygon.js';
+import Point from 'ol/geom/Point.js';
+import Polygon from 'ol/geom/Polygon.js';
 import Link from 'ol/interaction/Link.js';
 import BaseTileLayer from 'ol/layer/BaseTile.js';
 import VectorLayer from 'ol/layer/Vector.js';
@@ -17,16 +22,62 @@ import VectorTileLayer from 'ol/layer/VectorTile.js';
 import {Layer} from 'ol/layer.js';
 import {useGeographic} from 'ol/proj.js';
 import BuilderGroup from 'ol/render/canvas/BuilderGroup.js';
+import Executor from 'ol/render/canvas/Executor.js';
 import ExecutorGroup from 'ol/render/canvas/ExecutorGroup.js';
+import TextBuilder from 'ol/render/canvas/TextBuilder.js';
 import MixedGeometryBatch from 'ol/render/webgl/MixedGeometryBatch.js';
 import VectorStyleRenderer from 'ol/render/webgl/VectorStyleRenderer.js';
 import CompositeMapRenderer from 'ol/renderer/Composite.js';
 import CanvasVectorLayerRenderer from 'ol/renderer/canvas/VectorLayer.js';
 import CanvasVectorTileLayerRenderer from 'ol/renderer/canvas/VectorTileLayer.js';
+import WebGLTileLayerRenderer from 'ol/renderer/webgl/TileLayer.js';
 import WebGLVectorLayerRenderer from 'ol/renderer/webgl/VectorLayer.js';
 import WebGLVectorTileLayerRenderer from 'ol/renderer/webgl/VectorTileLayer.js';
 import VectorSource from 'ol/source/Vector.js';
 import TileGeometry from 'ol/webgl/TileGeometry.js';
+import TileTexture from 'ol/webgl/TileTexture.js';
+import {DATASET_FORMATS, fetchDataset, readDataset} from './datasets.js';
+import {createResultsExport, downloadFile, downloadResults} from './export.js';
+import {
+  COLOR_PALETTE,
+  DISTRIBUTIONS,
+  getRandomPaletteColor,
+} from './generators.js';
+import {saveRun} from './history.js';
+import {METRICS} from './metrics.js';
+import {
+  deletePreset,
+  getSavedPresets,
+  importPresets,
+  loadBuiltInPresets,
+  savePreset,
+  serializePresets,
+} from './presets.js';
+import {DEFAULT_SEED, createRandom, getSeed, setSeed} from './random.js';
+import {
+  BENCHMARK_COMPLETE_EVENT,
+  finishRun,
+  getCaseName,
+  getResults,
+  setResultsContextProvider,
+  startRun,
+} from './results.js';
+import {
+  clearRunAllState,
+  getNextRenderer,
+  getRunAllState,
+  recordRunAllEntry,
+  renderRunAllProgress,
+  renderRunAllSummary,
+  setRunAllState,
+} from './run-all.js';
+import {
+  DEFAULT_SCENARIO,
+  getScenarioOptions,
+  runScenario,
+} from './scenarios.js';
+import {computeFrameStats, formatFrameStats} from './stats.js';
+import {getSweepValues, renderSweep} from './sweep.js';
 
 useGeographic();
 
@@ -63,6 +114,20 @@ let fpsMapEma = null;
 /** @type {number|null} */
 let fpsRafValue = null;
 
+/**
+ * Durations of the most recent frames, used for the live statistics.
+ * @type {Array<number>}
+ */
+const recentFrameDurations = [];
+
+const RECENT_FRAMES_COUNT = 300;
+
+/**
+ * Statistics of the last completed run.
+ * @type {import('./stats.js').FrameStats|null}
+ */
+let lastRunFrameStats = null;
+
 function attachFpsElementToAnalyzer() {
   if (!fpsElement) {
     return;
@@ -269,7 +334,17 @@ function renderFpsText() {
   if (fpsRafValue !== null) {
     parts.push(`fps(raf): ${fpsRafValue.toFixed(1)}`);
   }
-  fpsElement.textContent = parts.length ? parts.join(' | ') : 'fps: …';
+  const lines = [parts.length ? parts.join(' | ') : 'fps: …'];
+  if (recentFrameDurations.length) {
+    lines.push(
+      `last ${recentFrameDurations.length} frames:`,
+      formatFrameStats(computeFrameStats(recentFrameDurations)),
+    );
+  }
+  if (lastRunFrameStats) {
+    lines.push('last run:', formatFrameStats(lastRunFrameStats));
+  }
+  fpsElement.textContent = lines.join('\n');
   attachFpsElementToAnalyzer();
 }
 
@@ -288,6 +363,14 @@ function enableFpsMeter() {
       const dt = now - last;
       last = now;
 
+      // longer gaps mean that the map was idle, not that a frame took that long
+      if (dt < 1000) {
+        recentFrameDurations.push(dt);
+        if (recentFrameDurations.length > RECENT_FRAMES_COUNT) {
+          recentFrameDurations.shift();
+        }
+      }
+
       if (dt > 0) {
         const instant = 1000 / dt;
         smoothed = smoothed ? smoothed * 0.9 + instant * 0.1 : instant;
@@ -321,12 +404,20 @@ function enableFpsMeter() {
     };
     fpsRafHandle = requestAnimationFrame(tick);
   }
+
+  window.addEventListener(BENCHMARK_COMPLETE_EVENT, (event) => {
+    const results =
+      /** @type {CustomEvent<import('./results.js').BenchResults>} */ (event)
+        .detail;
+    lastRunFrameStats = results.frameStats;
+    renderFpsText();
+  });
 }
 
 /** @type {function(Map): void} */
 let useWebGLCallback;
 
-/** @type {function(Map): void} */
+/** @type {(function(Map): void)|null} */
 let useCanvasCallback;
 
 /** @type {(function(Map): (void|Promise<void>))|null} */
@@ -390,9 +481,39 @@ function logActiveRenderer(/** @type {string} */ label) {
   });
 }
 
+/**
+ * Renderers offered in the GUI, by label.
+ * @type {Object<string, 'canvas'|'webgl'|'webgpu'>}
+ */
+const RENDERER_OPTIONS = {Canvas: 'canvas', WebGL: 'webgl', WebGPU: 'webgpu'};
+
+/**
+ * The renderers supported by a case follow from the callbacks given to {@link createMap}; they should
+ * match the `renderers` declared in its `case.json`, which is used where the case is not loaded
+ * (landing page, headless runner).
+ * @return {Array<'canvas'|'webgl'|'webgpu'>} Renderers supported by the case
+ */
+export function getSupportedRenderers() {
+  /** @type {Array<'canvas'|'webgl'|'webgpu'>} */
+  const renderers = useCanvasCallback ? ['canvas', 'webgl'] : ['webgl'];
+  if (useWebGPUCallback) {
+    renderers.push('webgpu');
+  }
+  return renderers;
+}
+
+/**
+ * @return {'canvas'|'webgl'} Renderer used when none is requested: Canvas, or WebGL if the case
+ * cannot render with Canvas
+ */
+function getDefaultRenderer() {
+  return useCanvasCallback ? 'canvas' : 'webgl';
+}
+
 /**
  * @param {function(Map): void} useWebGL Called when WebGL is enabled
- * @param {function(Map): void} useCanvas Called when WebGL is disabled
+ * @param {(function(Map): void)|null} useCanvas Called when WebGL is disabled; null if the case cannot
+ * render with Canvas (e.g. raster data), WebGL is then the default renderer
  * @param {function(Map): (void|Promise<void>)} [useWebGPU] Called when WebGPU is enabled
  * @return {Map} Map
  */
@@ -409,7 +530,9 @@ export function createMap(useWebGL, useCanvas, useWebGPU) {
     }),
   );
   useWebGLCallback = useWebGL;
+  // without a Canvas callback, Canvas is left out of the renderer options
   useCanvasCallback = useCanvas;
+  // without a WebGPU callback, WebGPU is left out of the renderer options
   useWebGPUCallback = useWebGPU ?? null;
   map.addInteraction(link);
   return map;
@@ -443,185 +566,230 @@ export class WebGLVectorTileLayer extends BaseTileLayer {
   }
 }
 
-const COLOR_PALETTE = [
-  '#66c2a5',
-  '#fc8d62',
-  '#8da0cb',
-  '#e78ac3',
-  '#a6d854',
-  '#ffd92f',
-];
-export function getRandomPaletteColor() {
-  return COLOR_PALETTE[Math.floor(Math.random() * COLOR_PALETTE.length)];
+export {getRandomColor, getRandomPaletteColor} from './generators.js';
+
+/**
+ * Resolves once the data being generated or loaded has been added to the source of the case; the
+ * automated runs wait for it, so that they do not measure an empty map.
+ * @type {Promise<unknown>}
+ */
+let dataReady = Promise.resolve();
+
+/**
+ * @param {Promise<unknown>} promise Resolves once the data is added to the source
+ */
+function trackDataLoading(promise) {
+  dataReady = promise.catch(() => {});
 }
 
-export function getRandomColor() {
-  const h = Math.floor(Math.random() * 360);
-  return `hsl(${h}, 90%, 50%)`;
+/** @type {HTMLDivElement|null} */
+let progressElement = null;
+
+/**
+ * @param {number|null} progress Progress of the data generation, from 0 to 1; `null` hides the indicator
+ */
+function showGenerationProgress(progress) {
+  if (!progressElement) {
+    const el = document.createElement('div');
+    el.id = 'generation-progress';
+    el.style.cssText = `
+		position: fixed;
+		top: 10px;
+		left: 50%;
+		transform: translateX(-50%);
+		z-index: 4;
+		padding: 4px 10px;
+		border-radius: 4px;
+		background: rgba(0, 0, 0, 0.7);
+		color: #fff;
+		font: 12px/1.35 sans-serif;
+		`;
+    document.body.appendChild(el);
+    progressElement = el;
+  }
+  progressElement.hidden = progress === null;
+  progressElement.textContent = `Generating data… ${Math.round((progress ?? 0) * 100)}%`;
 }
 
-const format = new GeoJSON();
+/**
+ * The worker generating the data, if any.
+ * @type {Worker|null}
+ */
+let generationWorker = null;
 
 /**
- * @param {import('geojson').FeatureCollection} collection Feature collection
- * @param {VectorSource} source Vector source
+ * Runs a generator of `generators.js` in a worker; a generation still running is abandoned.
+ * @param {import('./generate.worker.js').GenerateRequest['generator']} generator Name of the generator
+ * @param {Array<number>} args Arguments of the generator, before the options
+ * @param {import('./generate.worker.js').GenerateRequest['options']} [options] Options of the generator
+ * @return {Promise<import('./generators.js').FlatFeatures|null>} Features, `null` if another generation
+ * was started in the meantime
  */
-export function addGeoJsonToSource(collection, source) {
-  source.clear();
-  console.time('parse features');
-  const olFeatures = format.readFeatures(collection);
-  console.timeEnd('parse features');
-
-  console.time('add features');
-  source.addFeatures(olFeatures);
-  console.timeEnd('add features');
+export function generateData(generator, args, options = {}) {
+  generationWorker?.terminate();
+  const worker = new Worker(new URL('./generate.worker.js', import.meta.url), {
+    type: 'module',
+  });
+  generationWorker = worker;
+  showGenerationProgress(0);
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      worker.terminate();
+      if (generationWorker === worker) {
+        generationWorker = null;
+        showGenerationProgress(null);
+      }
+    };
+    worker.addEventListener('message', (event) => {
+      if (generationWorker !== worker) {
+        finish();
+        resolve(null);
+        return;
+      }
+      const response =
+        /** @type {import('./generate.worker.js').GenerateResponse} */ (
+          event.data
+        );
+      if (response.type === 'progress') {
+        showGenerationProgress(response.progress);
+      } else if (response.type === 'done') {
+        finish();
+        resolve(response.features);
+      } else {
+        finish();
+        reject(new Error(response.message));
+      }
+    });
+    worker.addEventListener('error', (event) => {
+      finish();
+      reject(new Error(event.message));
+    });
+    /** @type {import('./generate.worker.js').GenerateRequest} */
+    const request = {generator, args, options, seed: getSeed()};
+    worker.postMessage(request);
+  });
 }
 
 /**
- * Will generate polygons on a grid covering the whole latitude/longitude range
- * @param {number} count Count of polygons
- * @param {number} numVertices Number of vertices in polygons
- * @return {import('geojson').FeatureCollection} Feature collection
+ * Builds OpenLayers features from generated data.
+ * @param {import('./generators.js').FlatFeatures} data Generated data
+ * @return {Array<Feature>} Features
  */
-export function generatePolygons(count, numVertices) {
-  const size = 400 / Math.floor(Math.sqrt(count / 2)); // Increase the size for larger polygons
-  /**
-   * @type {Array<import('geojson').Feature>}
-   */
-  const features = [];
-  for (let lon = -180; lon < 180 - size / 4; lon += size) {
-    for (let lat = -90; lat < 90 - size / 4; lat += size) {
-      const buffer = (0.3 + Math.random() * 0.2) * size; // Increase the buffer for larger polygons
-
-      // Calculate the angle between vertices
-      const angleStep = (2 * Math.PI) / numVertices;
-
-      // Generate the vertices of the polygon
-      const polygonCoordinates = [];
-      for (let i = 0; i < numVertices; i++) {
-        const angle = i * angleStep;
-        const x =
-          lon +
-          size / 2 +
-          buffer * Math.cos(angle) -
-          (Math.random() * size) / 4;
-        const y =
-          lat +
-          size / 2 +
-          buffer * Math.sin(angle) -
-          (Math.random() * size) / 4;
-        polygonCoordinates.push([x, y]);
+export function createFeatures(data) {
+  const {coordinates, ends, polygonEnds, featureEnds, colors, properties} =
+    data;
+  const names = Object.keys(properties);
+  /** @type {Array<Feature>} */
+  const features = new Array(data.count);
+  let part = 0;
+  let polygon = 0;
+  for (let i = 0; i < data.count; i++) {
+    const start = part === 0 ? 0 : ends[part - 1];
+    const end = ends[featureEnds[i] - 1];
+    const flatCoordinates = Array.from(coordinates.subarray(start, end));
+    /** @type {Array<number>} */
+    const partEnds = [];
+    for (; part < featureEnds[i]; part++) {
+      partEnds.push(ends[part] - start);
+    }
+    let geometry;
+    switch (data.geometryType) {
+      case 'Point':
+        geometry = new Point(flatCoordinates);
+        break;
+      case 'LineString':
+        geometry = new LineString(flatCoordinates, 'XY');
+        break;
+      case 'MultiLineString':
+        geometry = new MultiLineString(flatCoordinates, 'XY', partEnds);
+        break;
+      case 'Polygon':
+        geometry = new Polygon(flatCoordinates, 'XY', partEnds);
+        break;
+      default: {
+        // split the rings of the feature by polygon
+        const firstPart = featureEnds[i] - partEnds.length;
+        /** @type {Array<Array<number>>} */
+        const endss = [];
+        let first = 0;
+        while (
+          polygon < polygonEnds.length &&
+          polygonEnds[polygon] <= featureEnds[i]
+        ) {
+          const last = polygonEnds[polygon] - firstPart;
+          endss.push(partEnds.slice(first, last));
+          first = last;
+          polygon++;
+        }
+        geometry = new MultiPolygon(flatCoordinates, 'XY', endss);
       }
-      // Close the polygon by adding the first vertex at the end
-      polygonCoordinates.push(polygonCoordinates[0]);
-
-      features.push({
-        type: 'Feature',
-        properties: {
-          color: getRandomPaletteColor(),
-          ratio: Math.round(Math.random() * 100),
-        },
-        geometry: {
-          type: 'Polygon',
-          coordinates: [polygonCoordinates],
-        },
-      });
     }
+    /** @type {Object<string, *>} */
+    const values = {geometry, color: COLOR_PALETTE[colors[i]]};
+    for (const name of names) {
+      values[name] = properties[name][i];
+    }
+    features[i] = new Feature(values);
   }
-  return {
-    type: 'FeatureCollection',
-    features,
-  };
+  return features;
 }
 
 /**
- * @param {number} count Point count
- * @param {number} radius Radius
- * @return {import('geojson').FeatureCollection} Feature collection
+ * Latest request to fill each source, with generated data or a dataset.
+ * @type {WeakMap<VectorSource, number>}
  */
-export function generatePoints(count, radius) {
-  const size = 400 / Math.floor(Math.sqrt(count / 2));
-  /**
-   * @type {Array<import('geojson').Feature>}
-   */
-  const features = [];
-  for (let lon = -180; lon < 180 - size / 4; lon += size) {
-    for (let lat = -90; lat < 90 - size / 4; lat += size) {
-      const buffer = (0.3 + Math.random() * 0.2) * size * (radius / 5); // Increase the buffer for larger points
-      features.push({
-        type: 'Feature',
-        properties: {
-          color: getRandomPaletteColor(),
-          radius,
-        },
-        geometry: {
-          type: 'Point',
-          coordinates: [lon + buffer, lat + buffer],
-        },
-      });
-    }
-  }
-  return {
-    type: 'FeatureCollection',
-    features,
-  };
+const sourceRequests = new WeakMap();
+
+/**
+ * Starts a request to fill a source; the requests started earlier are superseded, so that a late result
+ * does not replace the features added since.
+ * @param {VectorSource} source Vector source
+ * @return {function(): boolean} Whether the request is still the latest one for the source
+ */
+function startSourceRequest(source) {
+  const request = (sourceRequests.get(source) ?? 0) + 1;
+  sourceRequests.set(source, request);
+  return () => sourceRequests.get(source) === request;
 }
 
 /**
- * @param {number} lineCount From 1 to 100
- * @param {number} curveComplexity From 2 to 1000
- * @param {number} width line width
- * @return {import('geojson').FeatureCollection} Feature collection
+ * Sources showing a dataset instead of the generated data, see {@link registerDataset}.
+ * @type {WeakSet<VectorSource>}
  */
-export function generateLines(lineCount, curveComplexity, width) {
-  /**
-   * @type {Array<import('geojson').Feature>}
-   */
-  const features = [];
-  const periodCount = 10;
-  const periodWidth = 360 / periodCount;
-  const periodHeight = 20;
-  const latitudeSpacing = 180 / (lineCount + 1);
+const datasetSources = new WeakSet();
 
-  /**
-   * @type {Array<any>}
-   */
-  let singleCurve = []; // Create a singleCurve array outside the loop
-
-  for (let j = 0; j < lineCount; j++) {
-    const coordinates = [];
-    for (let i = 0; i < periodCount; i++) {
-      const startLon = -180 + i * periodWidth;
-      const startLat = -90 + (j + 1) * latitudeSpacing;
-
-      singleCurve = []; // Clear the array
-
-      for (let i = 0; i < curveComplexity; i++) {
-        const ratio = i / curveComplexity;
-        const longitude = startLon + ratio * periodWidth;
-        const latitude =
-          startLat + Math.cos(ratio * Math.PI * 2) * periodHeight * 0.5;
-        singleCurve = singleCurve.concat([[longitude, latitude]]);
-      }
-      coordinates.push(...singleCurve);
-    }
-    features.push({
-      type: 'Feature',
-      properties: {
-        color: getRandomPaletteColor(), // Use deterministic color selection
-        width,
-      },
-      geometry: {
-        type: 'LineString',
-        coordinates,
-      },
-    });
+/**
+ * Generates data in a worker and replaces the features of the source with it, unless the source is
+ * filled again in the meantime. Nothing is generated while the source shows a dataset.
+ * @param {VectorSource} source Vector source
+ * @param {import('./generate.worker.js').GenerateRequest['generator']} generator Name of the generator
+ * @param {Array<number>} args Arguments of the generator, before the options
+ * @param {import('./generate.worker.js').GenerateRequest['options']} [options] Options of the generator
+ * @return {Promise<void>} Resolves once the features are added
+ */
+export function loadGeneratedData(source, generator, args, options) {
+  if (datasetSources.has(source)) {
+    console.warn('Not generating data while a dataset is loaded');
+    return Promise.resolve();
   }
-
-  return {
-    type: 'FeatureCollection',
-    features,
-  };
+  const isLatest = startSourceRequest(source);
+  const promise = generateData(generator, args, options).then((data) => {
+    if (!data || !isLatest()) {
+      // superseded by another generation or a dataset
+      return;
+    }
+    console.time('create features');
+    const features = createFeatures(data);
+    console.timeEnd('create features');
+
+    console.time('add features');
+    source.clear();
+    source.addFeatures(features);
+    console.timeEnd('add features');
+  });
+  trackDataLoading(promise);
+  return promise;
 }
 
 // GUI Utils
@@ -631,6 +799,66 @@ const gui = new lilGui();
 /** @type {Record<string, boolean|number|string|function(): void>} */
 const guiParams = {};
 
+/**
+ * Converts the value of each parameter to its representation in the url, by parameter id.
+ * @type {Object<string, function(*): string>}
+ */
+const guiParamSerializers = {};
+
+/**
+ * Sets the value of each parameter as if it was changed in the GUI, by parameter id.
+ * @type {Object<string, function(*): (void|Promise<void>)>}
+ */
+const guiParamSetters = {};
+
+/**
+ * @typedef {Object} NumericGuiParameter
+ * @property {string} label Label
+ * @property {number} min Minimum
+ * @property {number} max Maximum
+ * @property {number} step Step
+ */
+
+/**
+ * Controllers of the parameters, by parameter id.
+ * @type {Object<string, import('lil-gui').Controller>}
+ */
+const guiControllers = {};
+
+/**
+ * Numeric parameters, by parameter id; these can be swept.
+ * @type {Object<string, NumericGuiParameter>}
+ */
+const numericGuiParams = {};
+
+/**
+ * Parameters left out of presets, so that a preset can be applied with any renderer.
+ */
+const PRESET_EXCLUDED_PARAMS = ['renderer', 'performance'];
+
+/**
+ * Numeric parameters that cannot be swept: changing the seed reloads the page.
+ */
+const SWEEP_EXCLUDED_PARAMS = ['seed'];
+
+/**
+ * Parameters of the generated data while a dataset is shown instead; they have no effect, so they
+ * cannot be swept either.
+ * @type {Array<string>}
+ */
+let inactiveGeneratorParams = [];
+
+/**
+ * Called when the parameters change: when one is registered, also after an `await` in the case, or when
+ * some are disabled.
+ * @type {Array<function(): void>}
+ */
+const guiParamsListeners = [];
+
+function notifyGuiParamsChange() {
+  guiParamsListeners.forEach((listener) => listener());
+}
+
 /**
  * Registers a GUI param; can either be a numeric parameter with a range, or a toggle parameter
  * The `id` and `values` will show up in the url
@@ -680,9 +908,31 @@ export function registerGuiParameter(
     controller = gui.add(guiParams, id);
   }
   callback(initialValue, true);
+  if (!isFunction) {
+    const serialize = isNumeric
+      ? String
+      : (/** @type {*} */ value) => String(value ? values[0] : values[1]);
+    guiParamSerializers[id] = serialize;
+    guiParamSetters[id] = (value) => {
+      guiParams[id] = value;
+      link.update(id, serialize(value));
+      return callback(value, false);
+    };
+  }
+  if (isNumeric) {
+    const numericValues = /** @type {Array<number>} */ (values);
+    numericGuiParams[id] = {
+      label,
+      min: numericValues[0],
+      max: numericValues[1],
+      step: numericValues[2] || 1,
+    };
+  }
 
   controller.name(label);
   controller.listen();
+  guiControllers[id] = controller;
+  notifyGuiParamsChange();
 
   if (isFunction) {
     // No need to track function parameters in the URL or call a callback when they change
@@ -759,12 +1009,14 @@ export function registerGuiLogNumberParameter(
   // Store the actual value under `id` (for getGuiParameterValue), but only
   // expose a single log-scale slider control in the GUI.
   guiParams[id] = initialValue;
+  guiParamSerializers[id] = String;
   const logId = `${id}__log`;
   guiParams[logId] = toLog(initialValue);
 
   const controller = gui
     .add(guiParams, logId, logMin, logMax, 0.01)
     .name(label);
+  guiControllers[id] = controller;
   // lil-gui's NumberController has `$input` and `_inputFocused`, but the public
   // Controller type doesn't expose them.
   const numberController = /** @type {any} */ (controller);
@@ -802,6 +1054,17 @@ export function registerGuiLogNumberParameter(
     link.update(id, value.toString());
     void callback(value, false);
   });
+
+  guiParamSetters[id] = (value) => {
+    const clamped = clamp(value);
+    guiParams[id] = clamped;
+    guiParams[logId] = toLog(clamped);
+    controller.updateDisplay();
+    link.update(id, clamped.toString());
+    return callback(clamped, false);
+  };
+  numericGuiParams[id] = {label, min, max, step: 1};
+  notifyGuiParamsChange();
 }
 
 /**
@@ -824,6 +1087,52 @@ export function getGuiParameterValue(id) {
   return guiParams[id];
 }
 
+/**
+ * Changes a parameter as if it was changed in the GUI: the url is updated and the callback of the
+ * parameter is called.
+ * @param {string} id Id
+ * @param {boolean|number|string} value Value
+ * @return {Promise<void>} Resolves once the callback is done
+ */
+export async function setGuiParameterValue(id, value) {
+  if (!(id in guiParamSetters)) {
+    throw new Error(`Unknown parameter "${id}"`);
+  }
+  await guiParamSetters[id](value);
+}
+
+/**
+ * @return {import('./presets.js').Preset} Values of the parameters as they appear in the url
+ * (renderer and performance tracking left out)
+ */
+function getPresetValues() {
+  /** @type {import('./presets.js').Preset} */
+  const values = {};
+  for (const id in guiParamSerializers) {
+    if (!PRESET_EXCLUDED_PARAMS.includes(id)) {
+      values[id] = guiParamSerializers[id](guiParams[id]);
+    }
+  }
+  return values;
+}
+
+/**
+ * Reloads the page with the values of a preset; parameters missing from the preset get their default value.
+ * @param {import('./presets.js').Preset} preset Preset
+ */
+function applyPreset(preset) {
+  const url = new URL(window.location.href);
+  for (const id in guiParamSerializers) {
+    if (!PRESET_EXCLUDED_PARAMS.includes(id)) {
+      url.searchParams.delete(id);
+    }
+  }
+  for (const [id, value] of Object.entries(preset)) {
+    url.searchParams.set(id, value);
+  }
+  window.location.href = url.href;
+}
+
 /**
  * Registers a GUI string parameter with a fixed set of options.
  * @param {string} id Id
@@ -844,8 +1153,10 @@ export function registerGuiSelectParameter(
   const fromUrl = new URL(window.location.href).searchParams.get(id);
   const initialValue = fromUrl && allowed.has(fromUrl) ? fromUrl : defaultValue;
   guiParams[id] = initialValue;
+  guiParamSerializers[id] = String;
 
   const controller = gui.add(guiParams, id).name(label).options(options);
+  guiControllers[id] = controller;
 
   link.track(id, (value) => {
     if (!allowed.has(value)) {
@@ -861,16 +1172,221 @@ export function registerGuiSelectParameter(
     void callback(rawValue, false);
   });
 
+  guiParamSetters[id] = (value) => {
+    guiParams[id] = value;
+    controller.updateDisplay();
+    link.update(id, value);
+    return callback(value, false);
+  };
+
   void callback(initialValue, true);
+  notifyGuiParamsChange();
 
   return controller;
 }
 
+/**
+ * Ids of the parameters registered by {@link registerDistributionParameters}.
+ */
+export const DISTRIBUTION_PARAMS = ['distribution', 'clusters', 'spread'];
+
+/**
+ * Registers the parameters of the spatial distribution of the generated data; see `DISTRIBUTIONS`
+ * in `generators.js`.
+ * @param {function(*, boolean|null): (void|Promise<void>)} callback Called when one of them changes,
+ * and also on initialization
+ */
+export function registerDistributionParameters(callback) {
+  registerGuiSelectParameter(
+    'distribution',
+    'Distribution',
+    DISTRIBUTIONS,
+    'grid',
+    callback,
+  );
+  registerGuiParameter(
+    'clusters',
+    'Clusters (clusters, power law)',
+    [1, 100, 1],
+    10,
+    callback,
+  );
+  registerGuiParameter(
+    'spread',
+    'Cluster spread (degrees)',
+    [1, 60, 1],
+    10,
+    callback,
+  );
+}
+
+/**
+ * @return {{distribution: string, clusters: number, spread: number}} Options of the generators for
+ * the current distribution parameters
+ */
+export function getDistributionOptions() {
+  return {
+    distribution: /** @type {string} */ (getGuiParameterValue('distribution')),
+    clusters: /** @type {number} */ (getGuiParameterValue('clusters')),
+    spread: /** @type {number} */ (getGuiParameterValue('spread')),
+  };
+}
+
+/**
+ * @typedef {Object} DatasetOptions
+ * @property {Array<string>} generatorParams Ids of the parameters of the generated data, disabled while
+ * a dataset is shown
+ * @property {function(): (void|Promise<void>)} resetData Generates the data again, called when the dataset is removed
+ * @property {function(import('./random.js').RandomGenerator, number): Object<string, *>} [defaultProperties]
+ * Properties read by the style of the case, given to each feature lacking them (a `color` from the
+ * palette is always given); called with the index of the feature in the dataset
+ */
+
+/**
+ * Lets the user render their own dataset instead of the generated data, from a file (picked in the
+ * "Dataset" folder or dropped on the map) or from a url given with the `data` parameter. The
+ * supported formats are listed in `datasets.js`.
+ * @param {VectorSource} source Source of the case
+ * @param {DatasetOptions} options Options
+ * @return {boolean} Whether a dataset is loaded from the url; the case does not need to generate its
+ * data in that case
+ */
+export function registerDataset(source, options) {
+  const folder = gui.addFolder('Dataset');
+  const state = {dataset: '(generated)'};
+  folder.add(state, 'dataset').name('Dataset').disable();
+
+  /**
+   * @param {string|null} name Name of the dataset, `null` to show the generated data again
+   */
+  const setActiveDataset = (name) => {
+    state.dataset = name ?? '(generated)';
+    folder.controllersRecursive()[0].updateDisplay();
+    if (name) {
+      guiParams.data = name;
+      datasetSources.add(source);
+    } else {
+      delete guiParams.data;
+      datasetSources.delete(source);
+    }
+    for (const id of options.generatorParams) {
+      guiControllers[id]?.enable(!name);
+    }
+    inactiveGeneratorParams = name ? options.generatorParams : [];
+    notifyGuiParamsChange();
+  };
+
+  /**
+   * @param {string} name Name of the dataset
+   * @param {function(): Promise<Array<import('ol/Feature.js').default>>} read Reads the features
+   */
+  const load = async (name, read) => {
+    state.dataset = `loading ${name}…`;
+    folder.controllersRecursive()[0].updateDisplay();
+    const isLatest = startSourceRequest(source);
+    try {
+      const features = await read();
+      if (!isLatest()) {
+        // superseded by another dataset or a generation
+        return;
+      }
+      const random = createRandom();
+      features.forEach((feature, index) => {
+        if (feature.get('color') === undefined) {
+          feature.set('color', getRandomPaletteColor(random), true);
+        }
+        const defaults = options.defaultProperties?.(random, index) ?? {};
+        for (const key in defaults) {
+          if (feature.get(key) === undefined) {
+            feature.set(key, defaults[key], true);
+          }
+        }
+      });
+      source.clear();
+      source.addFeatures(features);
+      setActiveDataset(name);
+    } catch (error) {
+      if (!isLatest()) {
+        return;
+      }
+      setActiveDataset(
+        /** @type {string|undefined} */ (guiParams.data) ?? null,
+      );
+      alert(
+        `Could not load the dataset: ${error instanceof Error ? error.message : error}`,
+      );
+    }
+  };
+
+  /**
+   * @param {File} file File
+   */
+  const loadFile = (file) => {
+    // a local file cannot be referenced in the url
+    link.update('data', null);
+    void load(file.name, async () =>
+      readDataset(file.name, await file.arrayBuffer()),
+    );
+  };
+
+  const remove = () => {
+    link.update('data', null);
+    setActiveDataset(null);
+    options.resetData();
+  };
+
+  folder
+    .add(
+      {
+        loadDataset: () => {
+          const input = document.createElement('input');
+          input.type = 'file';
+          input.accept = Object.values(DATASET_FORMATS)
+            .flat()
+            .map((extension) => `.${extension}`)
+            .join(',');
+          input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            if (file) {
+              loadFile(file);
+            }
+          });
+          input.click();
+        },
+      },
+      'loadDataset',
+    )
+    .name('Load File…');
+  folder.add({remove}, 'remove').name('Use Generated Data');
+
+  const viewport = map.getViewport();
+  viewport.addEventListener('dragover', (event) => event.preventDefault());
+  viewport.addEventListener('drop', (event) => {
+    event.preventDefault();
+    const file = event.dataTransfer?.files[0];
+    if (file) {
+      loadFile(file);
+    }
+  });
+
+  const url = link.track('data', (value) => {
+    if (value) {
+      void load(value, () => fetchDataset(value));
+    } else {
+      remove();
+    }
+  });
+  if (url) {
+    trackDataLoading(load(url, () => fetchDataset(url)));
+  }
+  return !!url;
+}
+
 export async function regenerateLayer() {
   clearRendererError();
   const previousLayers = map.getLayers().getArray().slice();
   const previousRenderer = activeRenderer;
-  const requested = getGuiParameterValue('renderer') || 'canvas';
+  const requested = getGuiParameterValue('renderer') || getDefaultRenderer();
 
   if (requested === 'webgpu') {
     if (!useWebGPUCallback) {
@@ -892,7 +1408,7 @@ export async function regenerateLayer() {
         for (const layer of previousLayers) {
           map.addLayer(layer);
         }
-      } else if (previousRenderer === 'webgl') {
+      } else if (previousRenderer === 'webgl' || !useCanvasCallback) {
         await useWebGLCallback(map);
       } else {
         await useCanvasCallback(map);
@@ -908,7 +1424,7 @@ export async function regenerateLayer() {
 
   map.getLayers().clear();
 
-  if (requested === 'webgl') {
+  if (requested === 'webgl' || !useCanvasCallback) {
     await useWebGLCallback(map);
     logActiveRenderer('renderer: webgl');
     activeRenderer = 'webgl';
@@ -921,18 +1437,56 @@ export async function regenerateLayer() {
 }
 
 /**
- * @param {'canvas'|'webgl'|'webgpu'} mode Track renderer classes
+ * @typedef {Object} TrackedClass
+ * @property {Function} klass Class
+ * @property {string} name Name shown by the analyzer
  */
-async function enablePerformanceTracking(mode) {
+
+/**
+ * Classes only used by the case, tracked along with the common ones.
+ * @type {Array<TrackedClass>}
+ */
+let caseTrackedClasses = [];
+
+/**
+ * Tracks the classes of all the renderers at once, so that the renderer can be switched without
+ * reloading the page. Class names are prefixed with their renderer, which groups them by renderer in
+ * the analyzer table (classes shared by all the renderers come first).
+ */
+async function enablePerformanceTracking() {
   defineFrameContainer(CompositeMapRenderer, 'renderFrame');
-  trackPerformance(VectorSource);
-  if (mode === 'webgl') {
-    trackPerformance(MixedGeometryBatch);
-    trackPerformance(VectorStyleRenderer);
-    trackPerformance(WebGLVectorLayerRenderer);
-    trackPerformance(TileGeometry);
-    trackPerformance(WebGLVectorTileLayerRenderer);
-  } else if (mode === 'webgpu') {
+  trackPerformance(VectorSource, 'VectorSource');
+
+  trackPerformance(BuilderGroup, 'Canvas BuilderGroup');
+  trackPerformance(ExecutorGroup, 'Canvas ExecutorGroup');
+  trackPerformance(TextBuilder, 'Canvas TextBuilder');
+  // labels are measured, decluttered and drawn by the executors
+  trackPerformance(Executor, 'Canvas Executor');
+  trackPerformance(CanvasVectorLayerRenderer, 'Canvas VectorLayerRenderer');
+  trackPerformance(VectorLayer, 'Canvas VectorLayer');
+  trackPerformance(
+    CanvasVectorTileLayerRenderer,
+    'Canvas VectorTileLayerRenderer',
+  );
+  trackPerformance(VectorTileLayer, 'Canvas VectorTileLayer');
+
+  trackPerformance(MixedGeometryBatch, 'WebGL MixedGeometryBatch');
+  trackPerformance(VectorStyleRenderer, 'WebGL VectorStyleRenderer');
+  trackPerformance(WebGLVectorLayerRenderer, 'WebGL VectorLayerRenderer');
+  trackPerformance(TileGeometry, 'WebGL TileGeometry');
+  trackPerformance(
+    WebGLVectorTileLayerRenderer,
+    'WebGL VectorTileLayerRenderer',
+  );
+  trackPerformance(WebGLTileLayerRenderer, 'WebGL TileLayerRenderer');
+  trackPerformance(TileTexture, 'WebGL TileTexture');
+
+  for (const {klass, name} of caseTrackedClasses) {
+    trackPerformance(klass, name);
+  }
+
+  // the WebGPU modules are only found in recent builds of OpenLayers
+  if (getSupportedRenderers().includes('webgpu')) {
     const webgpuModules = [
       {
         path: WEBGPU_VECTOR_STYLE_RENDERER_MODULE,
@@ -957,13 +1511,6 @@ async function enablePerformanceTracking(mode) {
         }
       }),
     );
-  } else {
-    trackPerformance(BuilderGroup);
-    trackPerformance(ExecutorGroup);
-    trackPerformance(CanvasVectorLayerRenderer);
-    trackPerformance(VectorLayer);
-    trackPerformance(CanvasVectorTileLayerRenderer);
-    trackPerformance(VectorTileLayer);
   }
   showTable();
   showGraph();
@@ -977,62 +1524,481 @@ export const olVersion =
   // eslint-disable-next-line no-undef
   __DEFAULT_OL_VERSION; // defined at build time by Vite
 
-function animate() {
-  const view = map.getView();
+/**
+ * Scenario played when the `scenario` parameter is not set; cases without camera animation
+ * default to a static view.
+ */
+let defaultScenario = DEFAULT_SCENARIO;
+
+/**
+ * Plays the selected camera scenario while recording a run.
+ * @return {Promise<import('./results.js').BenchResults>} Resolves with a copy of the results once the run is finished
+ */
+function measureScenario() {
+  const scenario = /** @type {string} */ (
+    getGuiParameterValue('scenario') || defaultScenario
+  );
+  return new Promise((resolve) => {
+    runScenario(
+      map,
+      scenario,
+      () => startRun(map, scenario),
+      () => {
+        finishRun(!!getGuiParameterValue('performance'));
+        resolve(structuredClone(getResults()));
+      },
+    );
+  });
+}
 
-  const initialRotation = 0;
-  const initialZoom = 4;
-  const initialCenter = [0, 0];
+/**
+ * Plays the selected camera scenario while recording a run; the results end up in `window.__benchResults`.
+ */
+function runBenchmark() {
+  void measureScenario();
+}
 
-  view.setRotation(initialRotation);
-  view.setZoom(initialZoom);
-  view.setCenter(initialCenter);
+/**
+ * Whether a sweep is running, to avoid starting another one at the same time.
+ */
+let sweepRunning = false;
 
-  setTimeout(() => {
-    view.animate(
-      {
-        rotation: initialRotation + Math.PI / 2,
-        duration: 2000,
-      },
-      {
-        rotation: initialRotation - Math.PI / 2,
-        duration: 2000,
-      },
-      {
-        zoom: 5,
-        duration: 2000,
-      },
-      {
-        zoom: 10,
-        duration: 2000,
-      },
+/**
+ * Runs the scenario for every value of a numeric parameter and every renderer, and plots a metric
+ * against the parameter. The parameter and the renderer are restored at the end.
+ * @param {Object} options Options
+ * @param {string} options.parameter Id of the numeric parameter
+ * @param {Array<number>} options.values Values of the parameter
+ * @param {Array<'canvas'|'webgl'|'webgpu'>} options.renderers Renderers
+ * @param {import('./metrics.js').Metric} options.metric Plotted metric
+ */
+async function runSweep({parameter, values, renderers, metric}) {
+  if (sweepRunning) {
+    alert('A sweep is already running.');
+    return;
+  }
+  const initialRenderer = activeRenderer;
+  sweepRunning = true;
+  const initialValue = /** @type {number} */ (getGuiParameterValue(parameter));
+  /** @type {Array<import('./sweep.js').SweepPoint>} */
+  const points = [];
+  const skipped = [];
+  const total = values.length * renderers.length;
+  const render = (/** @type {string} */ status) =>
+    renderSweep({
+      parameter,
+      parameterLabel: numericGuiParams[parameter].label,
+      metric,
+      renderers,
+      points,
+      status,
+    });
+
+  try {
+    for (const renderer of renderers) {
+      if (activeRenderer !== renderer) {
+        await setGuiParameterValue('renderer', renderer);
+        if (activeRenderer !== renderer) {
+          // e.g. WebGPU failed to initialize
+          skipped.push(renderer);
+          continue;
+        }
+      }
+      for (const value of values) {
+        render(
+          `Running ${renderer}, ${parameter}=${value} (${points.length + 1}/${total})…`,
+        );
+        await setGuiParameterValue(parameter, value);
+        points.push({renderer, value, results: await measureScenario()});
+      }
+    }
+    render(
+      skipped.length
+        ? `Done, skipped ${skipped.join(', ')} (renderer not available).`
+        : 'Done.',
+    );
+  } catch (error) {
+    render(`Sweep failed: ${error instanceof Error ? error.message : error}`);
+  } finally {
+    await setGuiParameterValue(parameter, initialValue);
+    if (activeRenderer !== initialRenderer) {
+      await setGuiParameterValue('renderer', initialRenderer);
+    }
+    sweepRunning = false;
+  }
+}
+
+/**
+ * Downloads the results of the last run.
+ * @param {import('./export.js').ExportFormat} format Format
+ */
+function exportResults(format) {
+  const results = getResults();
+  if (results.status !== 'complete') {
+    alert('No results to export yet: run the benchmark first.');
+    return;
+  }
+  downloadResults(createResultsExport(results, map), format);
+}
+
+/**
+ * Waits for the data to be ready and the map to be fully rendered, then runs the benchmark once. This
+ * is used by the headless runner (`tasks/run-benchmarks.js`) through the `autorun` URL parameter, and
+ * by the run-all-renderers mode.
+ * @return {Promise<import('./results.js').BenchResults>} Resolves with a copy of the results
+ */
+async function runAutomatedBenchmark() {
+  await dataReady;
+  return new Promise((resolve) => {
+    map.once('rendercomplete', function onRenderComplete() {
+      // the layer might not be added yet if the renderer is initialized asynchronously
+      if (!map.getLayers().getLength()) {
+        map.once('rendercomplete', onRenderComplete);
+        return;
+      }
+      resolve(measureScenario());
+    });
+  });
+}
+
+/**
+ * Reloads the page with another renderer; the other parameters are kept, since they are in the url.
+ * @param {string} renderer Renderer
+ */
+function reloadWithRenderer(renderer) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('renderer', renderer);
+  window.location.href = url.href;
+}
+
+/**
+ * Starts the run-all-renderers mode, see `run-all.js`.
+ */
+function runAllRenderers() {
+  /** @type {import('./run-all.js').RunAllState} */
+  const state = {
+    caseName: getCaseName(),
+    renderers: getSupportedRenderers(),
+    initialRenderer: activeRenderer,
+    entries: [],
+  };
+  setRunAllState(state);
+  reloadWithRenderer(state.renderers[0]);
+}
+
+/**
+ * Called on every page load while the run-all-renderers mode is active: runs the next renderer, or
+ * restores the initial renderer and shows the combined results once all renderers are done.
+ * @param {import('./run-all.js').RunAllState} state State
+ */
+async function continueRunAll(state) {
+  const renderer = getNextRenderer(state);
+  const requested = getGuiParameterValue('renderer') || getDefaultRenderer();
+  if (!renderer) {
+    if (requested !== state.initialRenderer) {
+      reloadWithRenderer(state.initialRenderer);
+      return;
+    }
+    clearRunAllState();
+    renderRunAllSummary(state);
+    return;
+  }
+  if (requested !== renderer) {
+    reloadWithRenderer(renderer);
+    return;
+  }
+  renderRunAllProgress(state, renderer, () => {
+    clearRunAllState();
+    reloadWithRenderer(state.initialRenderer);
+  });
+  const results = await runAutomatedBenchmark();
+  if (!getRunAllState(state.caseName)) {
+    // cancelled during the run
+    return;
+  }
+  // the renderer falls back to another one if it fails to initialize
+  recordRunAllEntry(
+    state,
+    renderer,
+    results.renderer === renderer ? results : null,
+  );
+  reloadWithRenderer(getNextRenderer(state) ?? state.initialRenderer);
+}
+
+/**
+ * Adds the presets folder: a dropdown of the built-in and saved presets, and actions to save the
+ * current parameters, delete a saved preset and exchange presets as JSON files.
+ */
+function initializePresets() {
+  const caseName = getCaseName();
+  const folder = gui.addFolder('Presets');
+  /** @type {Object<string, import('./presets.js').Preset>} */
+  let builtInPresets = {};
+  const state = {preset: ''};
+  /**
+   * @return {Object<string, import('./presets.js').Preset>} All presets, by name
+   */
+  const getAllPresets = () => ({
+    ...getSavedPresets(caseName),
+    ...builtInPresets,
+  });
+
+  const presetController = folder
+    .add(state, 'preset', {'(none)': ''})
+    .name('Preset')
+    .onFinishChange((/** @type {string} */ name) => {
+      if (name) {
+        applyPreset(getAllPresets()[name]);
+      }
+    });
+
+  const updatePresetOptions = () => {
+    const presets = getAllPresets();
+    const current = JSON.stringify(getPresetValues());
+    // show the preset matching the current parameters, if any
+    state.preset =
+      Object.keys(presets).find(
+        (name) =>
+          JSON.stringify({...getPresetValues(), ...presets[name]}) === current,
+      ) ?? '';
+    presetController.options({
+      '(none)': '',
+      ...Object.fromEntries(Object.keys(presets).map((name) => [name, name])),
+    });
+  };
+
+  folder
+    .add(
       {
-        zoom: initialZoom,
-        duration: 2000,
+        save: () => {
+          const name = prompt('Name of the preset')?.trim();
+          if (!name) {
+            return;
+          }
+          if (name in builtInPresets) {
+            alert(`"${name}" is a built-in preset, choose another name.`);
+            return;
+          }
+          savePreset(caseName, name, getPresetValues());
+          updatePresetOptions();
+        },
       },
+      'save',
+    )
+    .name('Save Current as Preset');
+  folder
+    .add(
       {
-        center: [initialCenter[0] + 40, initialCenter[1]],
-        duration: 2000,
+        remove: () => {
+          if (!(state.preset in getSavedPresets(caseName))) {
+            alert(
+              'Select a saved preset to delete (built-in presets cannot be deleted).',
+            );
+            return;
+          }
+          deletePreset(caseName, state.preset);
+          updatePresetOptions();
+        },
       },
+      'remove',
+    )
+    .name('Delete Preset');
+  folder
+    .add(
       {
-        center: initialCenter,
-        duration: 2000,
+        exportPresets: () =>
+          downloadFile(
+            `${caseName}-presets.json`,
+            serializePresets(caseName, getAllPresets()),
+            'application/json',
+          ),
       },
+      'exportPresets',
+    )
+    .name('Export Presets');
+  folder
+    .add(
       {
-        rotation: initialRotation + Math.PI / 2,
+        importPresets: () => {
+          const input = document.createElement('input');
+          input.type = 'file';
+          input.accept = 'application/json,.json';
+          input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (!file) {
+              return;
+            }
+            try {
+              importPresets(
+                caseName,
+                await file.text(),
+                Object.keys(builtInPresets),
+              );
+              updatePresetOptions();
+            } catch (error) {
+              alert(
+                `Could not import the presets: ${error instanceof Error ? error.message : error}`,
+              );
+            }
+          });
+          input.click();
+        },
       },
+      'importPresets',
+    )
+    .name('Import Presets');
+
+  // the case registers its own parameters after `initializeGui()`
+  guiParamsListeners.push(updatePresetOptions);
+  updatePresetOptions();
+  gui.onFinishChange(updatePresetOptions);
+  loadBuiltInPresets(caseName)
+    .then((presets) => {
+      builtInPresets = presets;
+      updatePresetOptions();
+    })
+    .catch((error) =>
+      console.warn('Could not load the built-in presets', error),
+    );
+}
+
+/**
+ * Adds the sweep folder: a numeric parameter with a range and a step, the renderers to compare and
+ * the metric to plot against the parameter.
+ */
+function initializeSweep() {
+  const folder = gui.addFolder('Sweep');
+  folder.close();
+  const state = {
+    parameter: '',
+    from: 0,
+    to: 0,
+    step: 1,
+    metric: 'mean',
+    /** @type {Object<string, boolean>} */
+    renderers: {},
+  };
+
+  /**
+   * Uses the whole range of the parameter by default.
+   * @param {string} id Id of the parameter
+   */
+  const resetRange = (id) => {
+    const {min, max, step} = numericGuiParams[id];
+    state.from = min;
+    state.to = max;
+    // about ten steps
+    state.step = Math.max(
+      step,
+      Number(((max - min) / 10).toPrecision(1)) || step,
+    );
+    folder.controllersRecursive().forEach((controller) => {
+      controller.updateDisplay();
+    });
+  };
+
+  const parameterController = folder
+    .add(state, 'parameter', {})
+    .name('Parameter')
+    .onFinishChange(resetRange);
+  folder.add(state, 'from').name('From');
+  folder.add(state, 'to').name('To');
+  folder.add(state, 'step').name('Step');
+  for (const renderer of getSupportedRenderers()) {
+    state.renderers[renderer] = renderer !== 'webgpu';
+    folder
+      .add(state.renderers, renderer)
+      .name(
+        Object.keys(RENDERER_OPTIONS).find(
+          (label) =>
+            RENDERER_OPTIONS[/** @type {keyof RENDERER_OPTIONS} */ (label)] ===
+            renderer,
+        ) ?? renderer,
+      );
+  }
+  folder
+    .add(
+      state,
+      'metric',
+      Object.fromEntries(METRICS.map((metric) => [metric.label, metric.id])),
+    )
+    .name('Metric');
+  folder
+    .add(
       {
-        rotation: initialRotation - Math.PI / 2,
+        run: () => {
+          const metric = METRICS.find(({id}) => id === state.metric);
+          const renderers = /** @type {Array<'canvas'|'webgl'|'webgpu'>} */ (
+            Object.keys(state.renderers)
+          ).filter((renderer) => state.renderers[renderer]);
+          if (!state.parameter || !metric || !renderers.length) {
+            alert('Select a parameter and at least one renderer.');
+            return;
+          }
+          let values;
+          try {
+            values = getSweepValues(state.from, state.to, state.step);
+          } catch (error) {
+            alert(error instanceof Error ? error.message : String(error));
+            return;
+          }
+          void runSweep({
+            parameter: state.parameter,
+            values,
+            renderers,
+            metric,
+          });
+        },
       },
+      'run',
+    )
+    .name('Run Sweep');
+
+  const updateParameterOptions = () => {
+    const ids = Object.keys(numericGuiParams).filter(
+      (id) =>
+        !SWEEP_EXCLUDED_PARAMS.includes(id) &&
+        !inactiveGeneratorParams.includes(id),
     );
-  }, 1000);
+    parameterController.options(
+      Object.fromEntries(ids.map((id) => [numericGuiParams[id].label, id])),
+    );
+    folder.show(ids.length > 0);
+    if (!ids.includes(state.parameter)) {
+      state.parameter = ids[0] ?? '';
+      if (ids.length) {
+        resetRange(ids[0]);
+      }
+    }
+  };
+  // the case registers its own parameters after `initializeGui()`
+  guiParamsListeners.push(updateParameterOptions);
+  updateParameterOptions();
 }
 
 /**
- * @param {{includeAnimate?: boolean}} [options] Options
+ * @param {{includeAnimate?: boolean, trackedClasses?: Array<TrackedClass>}} [options] Options; classes
+ * only used by the case (e.g. a source) can be given in `trackedClasses`, so that they are tracked when
+ * performance tracking is enabled
  */
 export function initializeGui(options) {
   const includeAnimate = options?.includeAnimate ?? true;
+  caseTrackedClasses = options?.trackedClasses ?? [];
+  setResultsContextProvider(() => ({
+    olVersion,
+    renderer: activeRenderer,
+    params: guiParams,
+  }));
+  // every run is kept in the local history, see `pages/history/`
+  window.addEventListener(BENCHMARK_COMPLETE_EVENT, (event) => {
+    const results =
+      /** @type {CustomEvent<import('./results.js').BenchResults>} */ (event)
+        .detail;
+    saveRun(results).catch((error) =>
+      console.warn('Could not save the run in the history', error),
+    );
+  });
+
   gui
     .add({olVersion}, 'olVersion')
     .name('OpenLayers Version')
@@ -1046,23 +2012,66 @@ export function initializeGui(options) {
     });
 
   if (includeAnimate) {
-    registerGuiParameter('animate', 'Start Animation', [], animate, () => {});
+    registerGuiSelectParameter(
+      'scenario',
+      'Scenario',
+      getScenarioOptions(),
+      DEFAULT_SCENARIO,
+      () => {},
+    );
+    registerGuiParameter(
+      'animate',
+      'Start Animation',
+      [],
+      runBenchmark,
+      () => {},
+    );
+  } else {
+    defaultScenario = 'static';
   }
 
+  // registered before the renderer so that the seed is set when the layer (and its style) is created
+  registerGuiParameter(
+    'seed',
+    'Random seed',
+    [1, 1000, 1],
+    DEFAULT_SEED,
+    (value, initial) => {
+      setSeed(/** @type {number} */ (value));
+      // the data of every case is generated from the seed, so start from scratch
+      if (!initial) {
+        location.reload();
+      }
+    },
+  );
+
+  const supportedRenderers = getSupportedRenderers();
+  const requestedRenderer = new URL(window.location.href).searchParams.get(
+    'renderer',
+  );
+  if (
+    requestedRenderer &&
+    !supportedRenderers.includes(
+      /** @type {'canvas'|'webgl'|'webgpu'} */ (requestedRenderer),
+    )
+  ) {
+    console.warn(
+      `Renderer "${requestedRenderer}" is not supported by this benchmark, using ${getDefaultRenderer()} instead`,
+    );
+  }
   registerGuiSelectParameter(
     'renderer',
     'Renderer',
-    {Canvas: 'canvas', WebGL: 'webgl', WebGPU: 'webgpu'},
-    'canvas',
-    async (value, initial) => {
+    Object.fromEntries(
+      Object.entries(RENDERER_OPTIONS).filter(([, value]) =>
+        supportedRenderers.includes(value),
+      ),
+    ),
+    getDefaultRenderer(),
+    async () => {
       if (suppressRendererSelectionUpdate) {
         return;
       }
-      // if perf tracking is enabled, reloading the page is necessary to monkey-patch the correct classes
-      if (getGuiParameterValue('performance') && !initial) {
-        location.reload();
-        return;
-      }
       await regenerateLayer();
     },
   );
@@ -1074,13 +2083,47 @@ export function initializeGui(options) {
     false,
     (value, initial) => {
       if (value && initial) {
-        const mode = /** @type {'canvas'|'webgl'|'webgpu'} */ (
-          getGuiParameterValue('renderer') || 'canvas'
-        );
-        void enablePerformanceTracking(mode);
+        void enablePerformanceTracking();
       } else if (!initial) {
+        // the tracked classes stay monkey-patched, start from scratch
         location.reload();
       }
     },
   );
+
+  registerGuiParameter(
+    'runAll',
+    'Run All Renderers',
+    [],
+    runAllRenderers,
+    () => {},
+  );
+
+  initializePresets();
+  initializeSweep();
+
+  registerGuiParameter(
+    'exportJson',
+    'Export Results (JSON)',
+    [],
+    () => exportResults('json'),
+    () => {},
+  );
+  registerGuiParameter(
+    'exportCsv',
+    'Export Results (CSV)',
+    [],
+    () => exportResults('csv'),
+    () => {},
+  );
+
+  // let the case register its parameters and load its data first
+  const runAllState = getRunAllState(getCaseName());
+  if (runAllState) {
+    setTimeout(() => continueRunAll(runAllState));
+  } else if (
+    new URL(window.location.href).searchParams.get('autorun') === 'yes'
+  ) {
+    setTimeout(runAutomatedBenchmark);
+  }
 }
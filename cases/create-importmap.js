@@ -5,6 +5,12 @@ if (document.currentScript) {
   const importMap = document.createElement('script');
   importMap.type = 'importmap';
   const basePath = document.currentScript.dataset.basePath;
+  // versions fetched with `npm run fetch-ol-versions`, served from disk instead of the CDN
+  const localOlVersions = (
+    document.currentScript.dataset.localOlVersions || ''
+  ).split(',');
+  // local OpenLayers checkouts mounted with the `OL_SOURCE` env variable
+  const olSources = (document.currentScript.dataset.olSources || '').split(',');
 
   const commonImports = `
     "color-rgba": "${basePath}node_modules/color-rgba/index.js",
@@ -14,15 +20,23 @@ if (document.currentScript) {
     "color-space/": "${basePath}node_modules/color-space/",
     "rbush": "${basePath}node_modules/rbush/index.js",
     "quickselect": "${basePath}node_modules/quickselect/index.js",
-    "earcut": "${basePath}node_modules/earcut/src/earcut.js"`;
+    "earcut": "${basePath}node_modules/earcut/src/earcut.js",
+    "geotiff": "${basePath}cases/geotiff.js",
+    "pbf": "${basePath}node_modules/pbf/index.js"`;
 
   // this import map is used if we're asking for a specific version
   if (olVersion) {
+    let olBasePath = `https://unpkg.com/ol@${olVersion}/`;
+    if (olSources.includes(olVersion)) {
+      olBasePath = `${basePath}ol-sources/${olVersion}/`;
+    } else if (localOlVersions.includes(olVersion)) {
+      olBasePath = `${basePath}ol-versions/${olVersion}/`;
+    }
     importMap.textContent = `
 {
   "imports": {
-    "ol/": "https://unpkg.com/ol@${olVersion}/",
-    "/node_modules/ol/": "https://unpkg.com/ol@${olVersion}/",
+    "ol/": "${olBasePath}",
+    "/node_modules/ol/": "${olBasePath}",
     ${commonImports}
   }
 }
@@ -55,6 +69,7 @@ if (document.currentScript) {
         olVersion ?? 'unknown'
       }" failed to load properly</strong></p>
 <p>First make sure that the version specified is valid. If it is, try reloading the page a few times (the CDN might have timed out when fetching the library).</p>
+<p>To work without the CDN, fetch the versions locally with <code>npm run fetch-ol-versions</code>.</p>
 <p><a href="${withoutOlVersion}">Click here to reload the page with the latest OpenLayers version (this should work!)</a></p>
 <p><small>Error was: ${error.message}</small></p>
       `;
@@ -0,0 +1,92 @@
+/**
+ * User-provided datasets, rendered by the vector cases instead of their generated data. The format is
+ * chosen from the file extension; coordinates are expected in longitude/latitude.
+ */
+import GPX from 'ol/format/GPX.js';
+import GeoJSON from 'ol/format/GeoJSON.js';
+import KML from 'ol/format/KML.js';
+
+/**
+ * Supported file extensions, by format name.
+ */
+export const DATASET_FORMATS = {
+  GeoJSON: ['geojson', 'json'],
+  FlatGeobuf: ['fgb'],
+  GPX: ['gpx'],
+  KML: ['kml'],
+};
+
+/**
+ * @param {string} name File name or url
+ * @return {string} Name of the format of the file
+ */
+function getFormatName(name) {
+  const extension = name.split(/[?#]/)[0].split('.').pop()?.toLowerCase();
+  const formatName = Object.keys(DATASET_FORMATS).find((key) =>
+    DATASET_FORMATS[/** @type {keyof DATASET_FORMATS} */ (key)].includes(
+      extension ?? '',
+    ),
+  );
+  if (!formatName) {
+    throw new Error(
+      `Unsupported file "${name}", expected one of: ${Object.values(
+        DATASET_FORMATS,
+      )
+        .flat()
+        .map((ext) => `.${ext}`)
+        .join(', ')}`,
+    );
+  }
+  return formatName;
+}
+
+/**
+ * @param {Uint8Array} bytes Content of a FlatGeobuf file
+ * @return {Promise<import('geojson').FeatureCollection>} Features
+ */
+async function readFlatGeobuf(bytes) {
+  // only loaded when needed, since it is much larger than the other formats
+  const {deserialize} = await import('flatgeobuf/lib/mjs/geojson.js');
+  /** @type {Array<import('geojson').Feature>} */
+  const features = [];
+  for await (const feature of deserialize(bytes)) {
+    features.push(/** @type {import('geojson').Feature} */ (feature));
+  }
+  return {type: 'FeatureCollection', features};
+}
+
+/**
+ * @param {string} name File name or url, used to pick the format
+ * @param {ArrayBuffer} content Content of the file
+ * @return {Promise<Array<import('ol/Feature.js').default>>} Features
+ */
+export async function readDataset(name, content) {
+  const formatName = getFormatName(name);
+  if (formatName === 'FlatGeobuf') {
+    return new GeoJSON().readFeatures(
+      await readFlatGeobuf(new Uint8Array(content)),
+    );
+  }
+  const text = new TextDecoder().decode(content);
+  const format =
+    formatName === 'KML'
+      ? new KML({extractStyles: false})
+      : formatName === 'GPX'
+        ? new GPX()
+        : new GeoJSON();
+  return /** @type {Array<import('ol/Feature.js').default>} */ (
+    format.readFeatures(text)
+  );
+}
+
+/**
+ * @param {string} url Url of the file, relative to the page
+ * @return {Promise<Array<import('ol/Feature.js').default>>} Features
+ */
+export async function fetchDataset(url) {
+  const response = await fetch(new URL(url, window.location.href));
+  if (!response.ok) {
+    throw new Error(`Could not load "${url}": ${response.status}`);
+  }
+  return readDataset(url, await response.arrayBuffer());
+}
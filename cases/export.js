@@ -0,0 +1,151 @@
+/**
+ * Export of the run results as JSON or CSV files, e.g. to attach them to issues and pull requests.
+ */
+
+/**
+ * @typedef {'json'|'csv'} ExportFormat
+ */
+
+/**
+ * @typedef {Object} ResultsExport
+ * @property {string} exportedAt Date of the export (ISO 8601)
+ * @property {string} caseName Name of the case
+ * @property {string} olVersion OpenLayers version
+ * @property {string} renderer Renderer
+ * @property {string} scenario Camera scenario
+ * @property {Object<string, boolean|number|string>} params Values of the GUI parameters
+ * @property {Object<string, string>} urlParams Parameters found in the page url
+ * @property {string} userAgent User agent
+ * @property {number} devicePixelRatio Device pixel ratio
+ * @property {{width: number, height: number}} canvasSize Size of the map viewport in CSS pixels
+ * @property {import('./results.js').BenchResults} results Complete results, including the timing series
+ */
+
+/**
+ * @param {import('./results.js').BenchResults} results Results
+ * @param {import('ol/Map.js').default} map Map
+ * @return {ResultsExport} Export
+ */
+export function createResultsExport(results, map) {
+  const size = map.getSize() ?? [0, 0];
+  return {
+    exportedAt: new Date().toISOString(),
+    caseName: results.caseName,
+    olVersion: results.olVersion,
+    renderer: results.renderer,
+    scenario: results.scenario,
+    params: results.params,
+    urlParams: Object.fromEntries(new URL(window.location.href).searchParams),
+    userAgent: navigator.userAgent,
+    devicePixelRatio: window.devicePixelRatio,
+    canvasSize: {width: size[0], height: size[1]},
+    results: structuredClone(results),
+  };
+}
+
+/**
+ * @param {*} value Value
+ * @return {string} CSV field
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Frame time statistics of the run, in the order of the columns.
+ * @type {Array<keyof import('./stats.js').FrameStats>}
+ */
+const FRAME_STATS_COLUMNS = [
+  'count',
+  'mean',
+  'p50',
+  'p90',
+  'p95',
+  'p99',
+  'max',
+  'stdDev',
+  'over16ms',
+  'over33ms',
+];
+
+/**
+ * One row per frame; every row repeats the run information and the frame time statistics of the run
+ * (as in the JSON export), so that exports of several runs can simply be concatenated (without their
+ * header line) and analyzed together.
+ * @param {ResultsExport} data Export
+ * @return {string} CSV content
+ */
+export function toCsv(data) {
+  /** @type {Object<string, *>} */
+  const runColumns = {
+    case: data.caseName,
+    olVersion: data.olVersion,
+    renderer: data.renderer,
+    scenario: data.scenario,
+    params: new URLSearchParams(
+      Object.entries(data.params).map(([key, value]) => [key, String(value)]),
+    ).toString(),
+    userAgent: data.userAgent,
+    devicePixelRatio: data.devicePixelRatio,
+    canvasWidth: data.canvasSize.width,
+    canvasHeight: data.canvasSize.height,
+    fps: data.results.fps?.toFixed(3),
+  };
+  const {frameStats} = data.results;
+  for (const name of FRAME_STATS_COLUMNS) {
+    const value = frameStats?.[name];
+    // empty if the run did not complete
+    runColumns[name] =
+      value === undefined || Number.isInteger(value) ? value : value.toFixed(3);
+  }
+  const header = [...Object.keys(runColumns), 'frame', 'timestamp', 'duration'];
+  const lines = [header.join(',')];
+  const {frameDurations, postrenderTimestamps} = data.results;
+  for (let i = 0; i < frameDurations.length; i++) {
+    lines.push(
+      [
+        ...Object.values(runColumns),
+        i,
+        postrenderTimestamps[i].toFixed(3),
+        frameDurations[i].toFixed(3),
+      ]
+        .map(toCsvField)
+        .join(','),
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Makes the browser download a file.
+ * @param {string} filename File name
+ * @param {string} content Content
+ * @param {string} type Media type
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], {type}));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {ResultsExport} data Export
+ * @param {ExportFormat} format Format
+ */
+export function downloadResults(data, format) {
+  const content =
+    format === 'csv' ? toCsv(data) : JSON.stringify(data, null, 2);
+  const type = format === 'csv' ? 'text/csv' : 'application/json';
+  const date = data.exportedAt.substring(0, 19).replace(/:/g, '-');
+  downloadFile(
+    `${data.caseName || 'results'}-${data.renderer}-${date}.${format}`,
+    content,
+    type,
+  );
+}
@@ -15,6 +15,7 @@ import {
   registerGuiParameter,
   registerGuiSelectParameter,
 } from '../common.js';
+import {createRandom} from '../random.js';
 
 const source = new VectorSource({
   wrapX: false,
@@ -206,6 +207,7 @@ function resetData(count, featureSize, map) {
   const spacingY = height / (rows + 1);
   const cell = Math.min(spacingX, spacingY);
   const tau = Math.PI * 2;
+  const random = createRandom();
 
   const newFeatures = [];
   for (let i = 0; i < count; i++) {
@@ -229,8 +231,8 @@ function resetData(count, featureSize, map) {
       const maxRadius = baseRadius * 1.0;
       const ring = [];
       for (let v = 0; v < vertexCount; v++) {
-        const angle = v * angleStep + (Math.random() - 0.5) * angleStep * 0.35;
-        const radius = minRadius + Math.random() * (maxRadius - minRadius);
+        const angle = v * angleStep + (random() - 0.5) * angleStep * 0.35;
+        const radius = minRadius + random() * (maxRadius - minRadius);
         ring.push([x + Math.cos(angle) * radius, y + Math.sin(angle) * radius]);
       }
       ring.push(ring[0]);
@@ -239,13 +241,13 @@ function resetData(count, featureSize, map) {
       geometry = new Point([x, y]);
     }
 
-    const baseColor = getRandomPaletteColor();
+    const baseColor = getRandomPaletteColor(random);
     newFeatures.push(
       new Feature({
         geometry,
         size: featureSize,
         color: baseColor,
-        angle: Math.random() * Math.PI * 2,
+        angle: random() * Math.PI * 2,
       }),
     );
   }
@@ -259,7 +261,7 @@ function resetData(count, featureSize, map) {
   baseRgb = newFeatures.map((feature) =>
     hexToRgb(/** @type {string} */ (feature.get('color') || '#000000')),
   );
-  baseHues = newFeatures.map(() => Math.random());
+  baseHues = newFeatures.map(() => random());
 }
 
 function main() {
@@ -1,13 +1,16 @@
 import VectorLayer from 'ol/layer/Vector.js';
 import VectorSource from 'ol/source/Vector.js';
 import {
+  DISTRIBUTION_PARAMS,
   WebGLVectorLayer,
-  addGeoJsonToSource,
   createMap,
-  generatePolygons,
+  getDistributionOptions,
   getGuiParameterValue,
   initializeGui,
+  loadGeneratedData,
   regenerateLayer,
+  registerDataset,
+  registerDistributionParameters,
   registerGuiParameter,
 } from '../common.js';
 
@@ -31,9 +34,15 @@ const style = [
 
 /**
  * @param {number} count The number of features to create.
+ * @return {Promise<void>} Resolves once the features are added
  */
 function resetData(count) {
-  addGeoJsonToSource(generatePolygons(count, 4), source);
+  return loadGeneratedData(
+    source,
+    'polygons',
+    [count, 4],
+    getDistributionOptions(),
+  );
 }
 
 function main() {
@@ -70,9 +79,18 @@ function main() {
     [100000, 500000],
     200000,
     (value, initial) => {
-      resetData(/** @type {number} */ (value));
+      if (initial) {
+        return;
+      }
+      return resetData(/** @type {number} */ (value));
     },
   );
+  registerDistributionParameters((value, initial) => {
+    if (initial) {
+      return;
+    }
+    return resetData(/** @type {number} */ (getGuiParameterValue('count')));
+  });
   registerGuiParameter(
     'filterValue',
     '% of shapes filtered out',
@@ -92,6 +110,17 @@ function main() {
     ['get', 'ratio'],
     getGuiParameterValue('filterValue'),
   ];
+  const resetGeneratedData = () =>
+    resetData(/** @type {number} */ (getGuiParameterValue('count')));
+  const hasDataset = registerDataset(source, {
+    generatorParams: ['count', ...DISTRIBUTION_PARAMS],
+    resetData: resetGeneratedData,
+    // the filter compares the ratio of the shapes to the filtered out percentage
+    defaultProperties: (random) => ({ratio: Math.round(random() * 100)}),
+  });
+  if (!hasDataset) {
+    resetGeneratedData();
+  }
 }
 
 main();
@@ -0,0 +1,57 @@
+/**
+ * Runs a generator of `generators.js` off the main thread, so that generating large datasets neither
+ * freezes the page nor overlaps with a measurement. Started by `generateData()` in `common.js`.
+ */
+import {GENERATORS} from './generators.js';
+import {createRandom} from './random.js';
+
+/**
+ * @typedef {Object} GenerateRequest
+ * @property {keyof GENERATORS} generator Name of the generator
+ * @property {Array<number>} args Arguments of the generator, before the options
+ * @property {{shape?: string, holes?: number, distribution?: string, clusters?: number, spread?: number, labels?: boolean}} options Options of the generator, besides the random number generator
+ * @property {number} seed Seed of the random number generator
+ */
+
+/**
+ * @typedef {{type: 'progress', progress: number}|{type: 'done', features: import('./generators.js').FlatFeatures}|{type: 'error', message: string}} GenerateResponse
+ */
+
+/**
+ * @param {GenerateResponse} response Response
+ * @param {Array<Transferable>} [transfer] Transferred buffers
+ */
+function respond(response, transfer = []) {
+  self.postMessage(response, {transfer});
+}
+
+self.addEventListener('message', (event) => {
+  const {generator, args, options, seed} = /** @type {GenerateRequest} */ (
+    event.data
+  );
+  try {
+    const generate =
+      /** @type {function(...*): import('./generators.js').FlatFeatures} */ (
+        GENERATORS[generator]
+      );
+    const features = generate(...args, {
+      ...options,
+      random: createRandom(seed),
+      onProgress: (/** @type {number} */ progress) =>
+        respond({type: 'progress', progress}),
+    });
+    respond({type: 'done', features}, [
+      features.coordinates.buffer,
+      features.ends.buffer,
+      features.polygonEnds.buffer,
+      features.featureEnds.buffer,
+      features.colors.buffer,
+      ...Object.values(features.properties).map((values) => values.buffer),
+    ]);
+  } catch (error) {
+    respond({
+      type: 'error',
+      message: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
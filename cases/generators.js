@@ -0,0 +1,647 @@
+/**
+ * Synthetic data generators. They run in a worker (see `generate.worker.js`), so this module must not
+ * depend on OpenLayers: the features are described with flat arrays that can be transferred to the
+ * page without copying, and turned into OpenLayers features there (see `createFeatures()` in `common.js`).
+ */
+
+/**
+ * @typedef {'Point'|'LineString'|'Polygon'|'MultiLineString'|'MultiPolygon'} FlatGeometryType
+ */
+
+/**
+ * Features of a single geometry type, described with flat arrays.
+ * @typedef {Object} FlatFeatures
+ * @property {FlatGeometryType} geometryType Geometry type of all the features
+ * @property {number} count Number of features
+ * @property {Float64Array} coordinates Coordinates of all the features, one after the other (`[x0, y0, x1, y1, ...]`)
+ * @property {Uint32Array} ends Offset in `coordinates` of the end of each part: point, line or ring
+ * @property {Uint32Array} polygonEnds Index in `ends` after the last ring of each polygon (polygons only, empty otherwise)
+ * @property {Uint32Array} featureEnds Index in `ends` after the last part of each feature
+ * @property {Uint8Array} colors Index of the color of each feature in {@link COLOR_PALETTE}
+ * @property {Object<string, Float64Array>} properties Numeric properties, by name, one value per feature
+ */
+
+/**
+ * @typedef {Object} GeneratorOptions
+ * @property {import('./random.js').RandomGenerator} random Random number generator
+ * @property {function(number): void} [onProgress] Called from time to time with the progress, from 0 to 1
+ * @property {string} [shape] Shape of the geometries, see {@link POLYGON_SHAPES} and {@link LINE_SHAPES}
+ * @property {number} [holes] Number of holes of each polygon, for the `holes` shape
+ * @property {string} [distribution] Spatial distribution of the features, see {@link DISTRIBUTIONS}
+ * @property {number} [clusters] Number of clusters, for the `clusters` and `powerlaw` distributions
+ * @property {number} [spread] Spread of the clusters in degrees, for the `clusters` and `powerlaw` distributions
+ * @property {boolean} [labels] Whether to number the features in a `label` property, for the text of labels
+ */
+
+/**
+ * Shapes of the generated polygons, by label. Apart from `star`, they exercise the edge cases of
+ * triangulation and clipping: holes, multi-polygons, slivers, very dense rings, collinear vertices,
+ * zero-length segments and shapes crossing the antimeridian.
+ */
+export const POLYGON_SHAPES = {
+  'Star': 'star',
+  'With holes': 'holes',
+  'MultiPolygon': 'multi',
+  'Sliver': 'sliver',
+  'Dense ring (10k vertices)': 'dense',
+  'Collinear vertices': 'collinear',
+  'Zero-length segments': 'degenerate',
+  'Crossing the antimeridian': 'antimeridian',
+};
+
+/**
+ * Shapes of the generated lines, by label.
+ */
+export const LINE_SHAPES = {
+  'Wave': 'wave',
+  'MultiLineString': 'multi',
+  'Collinear vertices': 'collinear',
+  'Zero-length segments': 'degenerate',
+  'Crossing the antimeridian': 'antimeridian',
+};
+
+/**
+ * Spatial distributions of the generated features, by label. `grid` covers the whole world evenly;
+ * the others leave most of it empty, like real data does: features are placed at random, around
+ * clusters of the same size, or around clusters of decreasing size with a long tail of outliers.
+ */
+export const DISTRIBUTIONS = {
+  'Grid': 'grid',
+  'Random': 'random',
+  'Gaussian clusters': 'clusters',
+  'Power law': 'powerlaw',
+};
+
+/**
+ * Exponent of the Pareto distribution of the distances to the clusters, for the `powerlaw` distribution.
+ */
+const POWER_LAW_EXPONENT = 1.5;
+
+/**
+ * Number of vertices of the rings of the `dense` polygon shape.
+ */
+const DENSE_RING_VERTICES = 10000;
+
+/**
+ * Maximum number of polygons with the `dense` shape, to keep the data in memory.
+ */
+const MAX_DENSE_POLYGONS = 500;
+
+export const COLOR_PALETTE = [
+  '#66c2a5',
+  '#fc8d62',
+  '#8da0cb',
+  '#e78ac3',
+  '#a6d854',
+  '#ffd92f',
+];
+
+/**
+ * @param {import('./random.js').RandomGenerator} random Random number generator
+ * @return {number} Index of a color of the palette
+ */
+function getRandomPaletteIndex(random) {
+  return Math.floor(random() * COLOR_PALETTE.length);
+}
+
+/**
+ * @param {import('./random.js').RandomGenerator} random Random number generator
+ * @return {string} Color from the palette
+ */
+export function getRandomPaletteColor(random) {
+  return COLOR_PALETTE[getRandomPaletteIndex(random)];
+}
+
+/**
+ * @param {import('./random.js').RandomGenerator} random Random number generator
+ * @return {string} Color with a random hue
+ */
+export function getRandomColor(random) {
+  const h = Math.floor(random() * 360);
+  return `hsl(${h}, 90%, 50%)`;
+}
+
+/**
+ * Reports the progress about a hundred times over the whole generation.
+ * @param {GeneratorOptions} options Options
+ * @param {number} total Total number of items
+ * @return {function(number): void} Called with the number of items done so far
+ */
+function createProgressReporter(options, total) {
+  const interval = Math.max(1, Math.floor(total / 100));
+  return (done) => {
+    if (options.onProgress && done % interval === 0) {
+      options.onProgress(done / total);
+    }
+  };
+}
+
+/**
+ * @param {import('./random.js').RandomGenerator} random Random number generator
+ * @return {number} Value of the standard normal distribution (Box-Muller transform)
+ */
+function getRandomNormal(random) {
+  const u = 1 - random(); // in ]0, 1], for the logarithm
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Returns a function placing the features of a grid according to the distribution. It is given the
+ * lower left corner of the grid cell and returns the lower left corner of the feature; the feature
+ * stays within the world, its longitude wraps around and its latitude is clamped.
+ * @param {GeneratorOptions} options Options
+ * @param {number} size Size of the grid cells
+ * @return {function(number, number): Array<number>} Placement function
+ */
+function createPlacement(options, size) {
+  const {random} = options;
+  const distribution = options.distribution ?? 'grid';
+  if (distribution === 'grid') {
+    return (lon, lat) => [lon, lat];
+  }
+
+  const maxLon = 360 - size;
+  const maxLat = 180 - size;
+  /**
+   * @param {number} x Longitude of the center of the feature
+   * @param {number} y Latitude of the center of the feature
+   * @return {Array<number>} Lower left corner of the feature
+   */
+  const toCorner = (x, y) => [
+    ((((x + 180 - size / 2) % maxLon) + maxLon) % maxLon) - 180,
+    Math.min(Math.max(y + 90 - size / 2, 0), maxLat) - 90,
+  ];
+  if (distribution === 'random') {
+    return () => [-180 + random() * maxLon, -90 + random() * maxLat];
+  }
+
+  const spread = options.spread ?? 10;
+  /** @type {Array<Array<number>>} */
+  const centers = [];
+  for (let i = 0; i < Math.max(1, options.clusters ?? 10); i++) {
+    centers.push([-180 + random() * 360, -80 + random() * 160]);
+  }
+  if (distribution === 'clusters') {
+    return () => {
+      const [x, y] = centers[Math.floor(random() * centers.length)];
+      return toCorner(
+        x + getRandomNormal(random) * spread,
+        y + getRandomNormal(random) * spread,
+      );
+    };
+  }
+
+  // the k-th cluster gets a share of the features proportional to 1/k (Zipf's law)
+  /** @type {Array<number>} */
+  const weights = [];
+  let totalWeight = 0;
+  for (let k = 1; k <= centers.length; k++) {
+    totalWeight += 1 / k;
+    weights.push(totalWeight);
+  }
+  return () => {
+    const target = random() * totalWeight;
+    const [x, y] = centers[weights.findIndex((weight) => weight >= target)];
+    // Pareto distribution starting at 0: most features are close, a few are very far
+    const distance = Math.min(
+      spread * ((1 - random()) ** (-1 / POWER_LAW_EXPONENT) - 1),
+      360,
+    );
+    const angle = random() * 2 * Math.PI;
+    return toCorner(
+      x + distance * Math.cos(angle),
+      y + distance * Math.sin(angle),
+    );
+  };
+}
+
+/**
+ * Collects the parts of the features in growing arrays, then packs them into {@link FlatFeatures}.
+ */
+class FlatFeaturesBuilder {
+  /**
+   * @param {FlatGeometryType} geometryType Geometry type
+   */
+  constructor(geometryType) {
+    this.geometryType = geometryType;
+    /** @type {Array<number>} */
+    this.coordinates = [];
+    /** @type {Array<number>} */
+    this.ends = [];
+    /** @type {Array<number>} */
+    this.polygonEnds = [];
+    /** @type {Array<number>} */
+    this.featureEnds = [];
+    /** @type {Array<number>} */
+    this.colors = [];
+    /** @type {Object<string, Array<number>>} */
+    this.properties = {};
+  }
+
+  /**
+   * @param {Array<number>} flatCoordinates Point, line or ring
+   */
+  addPart(flatCoordinates) {
+    for (let i = 0, ii = flatCoordinates.length; i < ii; i++) {
+      this.coordinates.push(flatCoordinates[i]);
+    }
+    this.ends.push(this.coordinates.length);
+  }
+
+  /**
+   * Marks the rings added since the previous polygon as a polygon.
+   */
+  endPolygon() {
+    this.polygonEnds.push(this.ends.length);
+  }
+
+  /**
+   * Marks the parts added since the previous feature as a feature.
+   * @param {number} color Index of the color in the palette
+   * @param {Object<string, number>} properties Numeric properties
+   */
+  endFeature(color, properties) {
+    this.featureEnds.push(this.ends.length);
+    this.colors.push(color);
+    for (const name in properties) {
+      (this.properties[name] ??= []).push(properties[name]);
+    }
+  }
+
+  /**
+   * @return {FlatFeatures} Features
+   */
+  build() {
+    return {
+      geometryType: this.geometryType,
+      count: this.featureEnds.length,
+      coordinates: Float64Array.from(this.coordinates),
+      ends: Uint32Array.from(this.ends),
+      polygonEnds: Uint32Array.from(this.polygonEnds),
+      featureEnds: Uint32Array.from(this.featureEnds),
+      colors: Uint8Array.from(this.colors),
+      properties: Object.fromEntries(
+        Object.entries(this.properties).map(([name, values]) => [
+          name,
+          Float64Array.from(values),
+        ]),
+      ),
+    };
+  }
+}
+
+/**
+ * @param {FlatFeatures} features Features
+ * @param {GeneratorOptions} options Options
+ * @return {FlatFeatures} Features, numbered from 1 if the options ask for labels
+ */
+function addLabels(features, options) {
+  if (options.labels) {
+    features.properties.label = Float64Array.from(
+      {length: features.count},
+      (_, i) => i + 1,
+    );
+  }
+  return features;
+}
+
+/**
+ * Inserts two vertices on every segment, aligned with its ends.
+ * @param {Array<number>} flatCoordinates Line or ring
+ * @return {Array<number>} Line or ring with collinear vertices
+ */
+function addCollinearVertices(flatCoordinates) {
+  const result = [];
+  for (let i = 0; i < flatCoordinates.length - 2; i += 2) {
+    const [x1, y1, x2, y2] = flatCoordinates.slice(i, i + 4);
+    result.push(x1, y1);
+    result.push(x1 + (x2 - x1) / 3, y1 + (y2 - y1) / 3);
+    result.push(x1 + ((x2 - x1) * 2) / 3, y1 + ((y2 - y1) * 2) / 3);
+  }
+  result.push(...flatCoordinates.slice(-2));
+  return result;
+}
+
+/**
+ * Repeats every vertex, which creates a zero-length segment after each of them.
+ * @param {Array<number>} flatCoordinates Line or ring
+ * @return {Array<number>} Line or ring with zero-length segments
+ */
+function addZeroLengthSegments(flatCoordinates) {
+  const result = [];
+  for (let i = 0; i < flatCoordinates.length; i += 2) {
+    const x = flatCoordinates[i];
+    const y = flatCoordinates[i + 1];
+    result.push(x, y, x, y);
+  }
+  return result;
+}
+
+/**
+ * Applies the vertex-level variations of a shape to a line or ring.
+ * @param {Array<number>} flatCoordinates Line or ring
+ * @param {string} shape Shape
+ * @return {Array<number>} Line or ring
+ */
+function applyShapeToPart(flatCoordinates, shape) {
+  if (shape === 'collinear') {
+    return addCollinearVertices(flatCoordinates);
+  }
+  if (shape === 'degenerate') {
+    return addZeroLengthSegments(flatCoordinates);
+  }
+  return flatCoordinates;
+}
+
+/**
+ * @param {number} centerX Center X
+ * @param {number} centerY Center Y
+ * @param {number} radiusX Horizontal radius
+ * @param {number} radiusY Vertical radius
+ * @param {number} numVertices Number of vertices
+ * @param {number} rotation Rotation, in radians
+ * @return {Array<number>} Closed ring
+ */
+function createEllipse(
+  centerX,
+  centerY,
+  radiusX,
+  radiusY,
+  numVertices,
+  rotation,
+) {
+  const ring = [];
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  for (let i = 0; i < numVertices; i++) {
+    const angle = (i * 2 * Math.PI) / numVertices;
+    const x = radiusX * Math.cos(angle);
+    const y = radiusY * Math.sin(angle);
+    ring.push(centerX + x * cos - y * sin, centerY + x * sin + y * cos);
+  }
+  ring.push(ring[0], ring[1]);
+  return ring;
+}
+
+/**
+ * A ring with vertices on a circle, moved randomly by up to a quarter of the cell size.
+ * @param {number} centerX Center X
+ * @param {number} centerY Center Y
+ * @param {number} radius Radius
+ * @param {number} numVertices Number of vertices
+ * @param {number} jitter Maximum random offset of the vertices
+ * @param {import('./random.js').RandomGenerator} random Random number generator
+ * @return {Array<number>} Closed ring
+ */
+function createStar(centerX, centerY, radius, numVertices, jitter, random) {
+  const ring = [];
+  // Calculate the angle between vertices
+  const angleStep = (2 * Math.PI) / numVertices;
+  for (let i = 0; i < numVertices; i++) {
+    const angle = i * angleStep;
+    ring.push(
+      centerX + radius * Math.cos(angle) - random() * jitter,
+      centerY + radius * Math.sin(angle) - random() * jitter,
+    );
+  }
+  // Close the polygon by adding the first vertex at the end
+  ring.push(ring[0], ring[1]);
+  return ring;
+}
+
+/**
+ * Adds the rings of a polygon of the given shape to the builder.
+ * @param {FlatFeaturesBuilder} builder Builder
+ * @param {number} lon Longitude of the cell
+ * @param {number} lat Latitude of the cell
+ * @param {number} size Size of the cell
+ * @param {number} numVertices Number of vertices
+ * @param {GeneratorOptions} options Options
+ */
+function addPolygon(builder, lon, lat, size, numVertices, options) {
+  const {random} = options;
+  const shape = options.shape ?? 'star';
+  const buffer = (0.3 + random() * 0.2) * size; // Increase the buffer for larger polygons
+  let centerX = lon + size / 2;
+  const centerY = lat + size / 2;
+  // every shape is moved over the antimeridian; they overlap each other
+  if (shape === 'antimeridian') {
+    centerX = 180 + (random() - 0.5) * size;
+  }
+
+  if (shape === 'multi') {
+    for (const [dx, dy] of [
+      [-1, -1],
+      [1, -1],
+      [-1, 1],
+      [1, 1],
+    ]) {
+      builder.addPart(
+        createStar(
+          centerX + (dx * size) / 4,
+          centerY + (dy * size) / 4,
+          buffer / 2,
+          numVertices,
+          size / 8,
+          random,
+        ),
+      );
+      builder.endPolygon();
+    }
+    return;
+  }
+
+  if (shape === 'holes') {
+    // a regular outer ring, so that the holes are sure to be inside
+    builder.addPart(
+      createEllipse(
+        centerX,
+        centerY,
+        buffer,
+        buffer,
+        Math.max(numVertices, 8),
+        0,
+      ),
+    );
+    const holeCount = Math.max(1, options.holes ?? 1);
+    const distance = holeCount === 1 ? 0 : buffer * 0.4;
+    const holeRadius =
+      holeCount === 1
+        ? buffer * 0.4
+        : Math.min(
+            buffer * 0.3,
+            distance * Math.sin(Math.PI / holeCount) * 0.8,
+          );
+    for (let i = 0; i < holeCount; i++) {
+      const angle = (i * 2 * Math.PI) / holeCount;
+      builder.addPart(
+        createEllipse(
+          centerX + distance * Math.cos(angle),
+          centerY + distance * Math.sin(angle),
+          holeRadius,
+          holeRadius,
+          Math.max(numVertices, 4),
+          0,
+        ),
+      );
+    }
+    builder.endPolygon();
+    return;
+  }
+
+  if (shape === 'sliver') {
+    builder.addPart(
+      createEllipse(
+        centerX,
+        centerY,
+        buffer,
+        buffer * 0.01,
+        Math.max(numVertices, 4),
+        random() * Math.PI,
+      ),
+    );
+    builder.endPolygon();
+    return;
+  }
+
+  const ring = createStar(
+    centerX,
+    centerY,
+    buffer,
+    shape === 'dense' ? DENSE_RING_VERTICES : numVertices,
+    size / 4,
+    random,
+  );
+  builder.addPart(applyShapeToPart(ring, shape));
+  builder.endPolygon();
+}
+
+/**
+ * Will generate polygons on a grid covering the whole latitude/longitude range, or spread according
+ * to the distribution of the options
+ * @param {number} count Count of polygons
+ * @param {number} numVertices Number of vertices in polygons
+ * @param {GeneratorOptions} options Options
+ * @return {FlatFeatures} Features
+ */
+export function generatePolygons(count, numVertices, options) {
+  const {random} = options;
+  const shape = options.shape ?? 'star';
+  if (shape === 'dense') {
+    count = Math.min(count, MAX_DENSE_POLYGONS);
+  }
+  const builder = new FlatFeaturesBuilder(
+    shape === 'multi' ? 'MultiPolygon' : 'Polygon',
+  );
+  const size = 400 / Math.floor(Math.sqrt(count / 2)); // Increase the size for larger polygons
+  const report = createProgressReporter(
+    options,
+    Math.ceil(360 / size) * Math.ceil(180 / size),
+  );
+
+  const place = createPlacement(options, size);
+
+  for (let lon = -180; lon < 180 - size / 4; lon += size) {
+    for (let lat = -90; lat < 90 - size / 4; lat += size) {
+      const [x, y] = place(lon, lat);
+      addPolygon(builder, x, y, size, numVertices, options);
+      builder.endFeature(getRandomPaletteIndex(random), {
+        ratio: Math.round(random() * 100),
+      });
+      report(builder.featureEnds.length);
+    }
+  }
+  return addLabels(builder.build(), options);
+}
+
+/**
+ * @param {number} count Point count
+ * @param {number} radius Radius
+ * @param {GeneratorOptions} options Options
+ * @return {FlatFeatures} Features
+ */
+export function generatePoints(count, radius, options) {
+  const {random} = options;
+  const builder = new FlatFeaturesBuilder('Point');
+  const size = 400 / Math.floor(Math.sqrt(count / 2));
+  const report = createProgressReporter(
+    options,
+    Math.ceil(360 / size) * Math.ceil(180 / size),
+  );
+
+  const place = createPlacement(options, size);
+
+  for (let lon = -180; lon < 180 - size / 4; lon += size) {
+    for (let lat = -90; lat < 90 - size / 4; lat += size) {
+      const [x, y] = place(lon, lat);
+      const buffer = (0.3 + random() * 0.2) * size * (radius / 5); // Increase the buffer for larger points
+      const color = getRandomPaletteIndex(random);
+      builder.addPart([x + buffer, y + buffer]);
+      builder.endFeature(color, {radius});
+      report(builder.featureEnds.length);
+    }
+  }
+  return addLabels(builder.build(), options);
+}
+
+/**
+ * @param {number} lineCount From 1 to 100
+ * @param {number} curveComplexity From 2 to 1000
+ * @param {number} width line width
+ * @param {GeneratorOptions} options Options
+ * @return {FlatFeatures} Features
+ */
+export function generateLines(lineCount, curveComplexity, width, options) {
+  const {random} = options;
+  const shape = options.shape ?? 'wave';
+  const builder = new FlatFeaturesBuilder(
+    shape === 'multi' ? 'MultiLineString' : 'LineString',
+  );
+  const periodCount = 10;
+  const periodWidth = 360 / periodCount;
+  const periodHeight = 20;
+  const latitudeSpacing = 180 / (lineCount + 1);
+  // the lines go around the world once, so moving them by half a turn makes them all cross the antimeridian
+  const offsetLon = shape === 'antimeridian' ? 180 : 0;
+  const report = createProgressReporter(options, lineCount);
+
+  for (let j = 0; j < lineCount; j++) {
+    /** @type {Array<Array<number>>} */
+    const periods = [];
+    for (let i = 0; i < periodCount; i++) {
+      const startLon = -180 + offsetLon + i * periodWidth;
+      const startLat = -90 + (j + 1) * latitudeSpacing;
+
+      const singleCurve = [];
+      for (let i = 0; i < curveComplexity; i++) {
+        const ratio = i / curveComplexity;
+        singleCurve.push(
+          startLon + ratio * periodWidth,
+          startLat + Math.cos(ratio * Math.PI * 2) * periodHeight * 0.5,
+        );
+      }
+      periods.push(singleCurve);
+    }
+    if (shape === 'multi') {
+      // one part per period
+      for (const period of periods) {
+        builder.addPart(period);
+      }
+    } else {
+      builder.addPart(applyShapeToPart(periods.flat(), shape));
+    }
+    builder.endFeature(getRandomPaletteIndex(random), {width});
+    report(j + 1);
+  }
+
+  return addLabels(builder.build(), options);
+}
+
+/**
+ * Generators that can be run in the worker, by name.
+ */
+export const GENERATORS = {
+  polygons: generatePolygons,
+  points: generatePoints,
+  lines: generateLines,
+};
@@ -0,0 +1,191 @@
+import WebGLTileLayer from 'ol/layer/WebGLTile.js';
+import DataTileSource from 'ol/source/DataTile.js';
+import GeoTIFF from 'ol/source/GeoTIFF.js';
+import {DATA_TYPES, DATA_TYPE_OPTIONS, writeCog} from '../cog.js';
+import {
+  createMap,
+  getGuiParameterValue,
+  initializeGui,
+  regenerateLayer,
+  registerGuiParameter,
+  registerGuiSelectParameter,
+} from '../common.js';
+import {createRandom} from '../random.js';
+
+/**
+ * Band math applied by the style, by label.
+ */
+const EXPRESSIONS = {
+  'Gray (band 1)': 'gray',
+  'RGB (bands 1 to 3)': 'rgb',
+  'Color ramp (band 1)': 'ramp',
+  'Normalized difference (bands 1 and 2)': 'difference',
+};
+
+/**
+ * Replaced every time the image is written again.
+ * @type {GeoTIFF|null}
+ */
+let source = null;
+
+/**
+ * @param {number} band Band number, from 1; bands beyond the band count of the image read the last one
+ * @return {import('ol/expr/expression.js').ExpressionValue} Value of the band, from 0 to 1
+ */
+function getScaledBand(band) {
+  const bands = /** @type {number} */ (getGuiParameterValue('bands'));
+  const {min, max} =
+    DATA_TYPES[/** @type {string} */ (getGuiParameterValue('dataType'))];
+  // the source is not normalized, the samples keep the range of their data type
+  return ['/', ['-', ['band', Math.min(band, bands)], min], max - min];
+}
+
+/**
+ * @return {import('ol/layer/WebGLTile.js').Style} Style
+ */
+function createStyle() {
+  const expression = getGuiParameterValue('expression');
+  /** @type {import('ol/expr/expression.js').ExpressionValue} */
+  let color;
+  if (expression === 'rgb') {
+    color = ['array', getScaledBand(1), getScaledBand(2), getScaledBand(3), 1];
+  } else if (expression === 'ramp') {
+    color = [
+      'interpolate',
+      ['linear'],
+      getScaledBand(1),
+      0,
+      [0, 97, 71],
+      0.25,
+      [84, 165, 76],
+      0.5,
+      [232, 215, 125],
+      0.75,
+      [161, 67, 0],
+      1,
+      [255, 255, 255],
+    ];
+  } else if (expression === 'difference') {
+    const first = getScaledBand(1);
+    const second = getScaledBand(2);
+    color = [
+      'interpolate',
+      ['linear'],
+      ['/', ['-', second, first], ['+', second, first]],
+      -1,
+      [120, 60, 30],
+      0,
+      [250, 250, 200],
+      1,
+      [0, 100, 0],
+    ];
+  } else {
+    const gray = getScaledBand(1);
+    color = ['array', gray, gray, gray, 1];
+  }
+
+  if (getGuiParameterValue('nodata')) {
+    // the source adds an alpha band after the bands of the image, 0 where there is no data
+    const alphaBand = /** @type {number} */ (getGuiParameterValue('bands')) + 1;
+    color = ['case', ['==', ['band', alphaBand], 0], [0, 0, 0, 0], color];
+  }
+  return {color};
+}
+
+/**
+ * Writes the image again with the current parameters and renders it.
+ * @return {Promise<void>} Resolves once the layer is created
+ */
+function resetData() {
+  const data = writeCog({
+    size: /** @type {number} */ (getGuiParameterValue('size')),
+    bands: /** @type {number} */ (getGuiParameterValue('bands')),
+    dataType: /** @type {string} */ (getGuiParameterValue('dataType')),
+    overviews: /** @type {number} */ (getGuiParameterValue('overviews')),
+    nodata: /** @type {boolean} */ (getGuiParameterValue('nodata')),
+    random: createRandom(),
+  });
+
+  source?.dispose();
+  source = new GeoTIFF({
+    // read from the blob like from a remote file, tile by tile
+    sources: [{blob: new Blob([data], {type: 'image/tiff'})}],
+    normalize: false,
+  });
+  return regenerateLayer();
+}
+
+/**
+ * @param {*} value New value
+ * @param {boolean|null} initial Whether this is the initial call
+ * @return {Promise<void>|undefined} Resolves once the layer is created
+ */
+function onDataChange(value, initial) {
+  if (initial) {
+    return;
+  }
+  return resetData();
+}
+
+function main() {
+  createMap(
+    (map) => {
+      // the layer is only created once the image is written, see `resetData()`
+      if (source) {
+        map.addLayer(new WebGLTileLayer({source, style: createStyle()}));
+      }
+    },
+    // the canvas renderer cannot render data tiles
+    null,
+  );
+  initializeGui({
+    // only the synchronous work of the source (tile lookup and caching) is timed: the images are
+    // decoded asynchronously by the geotiff package, which is not tracked
+    trackedClasses: [{klass: DataTileSource, name: 'DataTileSource'}],
+  });
+  registerGuiParameter(
+    'size',
+    'Image size (px)',
+    [512, 4096, 512],
+    2048,
+    onDataChange,
+  );
+  registerGuiParameter('bands', 'Band count', [1, 4, 1], 3, onDataChange);
+  registerGuiSelectParameter(
+    'dataType',
+    'Data type',
+    DATA_TYPE_OPTIONS,
+    'uint8',
+    onDataChange,
+  );
+  registerGuiParameter(
+    'overviews',
+    'Overview levels',
+    [0, 4, 1],
+    3,
+    onDataChange,
+  );
+  registerGuiParameter(
+    'nodata',
+    'Nodata areas',
+    ['yes', 'no'],
+    false,
+    onDataChange,
+  );
+  registerGuiSelectParameter(
+    'expression',
+    'Band math',
+    EXPRESSIONS,
+    'rgb',
+    (value, initial) => {
+      if (initial) {
+        return;
+      }
+      return regenerateLayer();
+    },
+  );
+
+  resetData();
+}
+
+main();
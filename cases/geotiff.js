@@ -0,0 +1,7 @@
+/**
+ * The `geotiff` package, as found by OpenLayers through the import map (see `create-importmap.js`).
+ * OpenLayers is not bundled and imports it from `ol/source/GeoTIFF.js`; the package cannot be served
+ * as-is since it depends on CommonJS modules, so it is bundled into this module at build time (see
+ * `vite.config.js`), at the same path as in dev.
+ */
+export * from 'geotiff';
@@ -0,0 +1,153 @@
+/**
+ * Local history of the benchmark runs, kept in IndexedDB so that results survive page reloads
+ * and can be followed over time on the history page (`pages/history/`).
+ */
+
+const DB_NAME = 'ol-benchmark';
+const DB_VERSION = 1;
+const STORE_NAME = 'runs';
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} [id] Id, assigned when the entry is saved
+ * @property {number} savedAt Date of the run (milliseconds since epoch)
+ * @property {string} caseName Name of the case
+ * @property {string} olVersion OpenLayers version
+ * @property {string} renderer Renderer
+ * @property {string} paramsKey Parameters of the run as a canonical query string (renderer left out)
+ * @property {string} seriesKey Runs sharing this key (case, renderer and parameters) are comparable
+ * across OpenLayers versions
+ * @property {boolean} baseline Whether the run is the pinned baseline of its series
+ * @property {import('./results.js').BenchResults} results Results
+ */
+
+/**
+ * @param {Object<string, boolean|number|string>} params Parameters
+ * @return {string} Canonical query string, with sorted keys
+ */
+export function getParamsKey(params) {
+  return new URLSearchParams(
+    Object.keys(params)
+      .filter((key) => key !== 'renderer')
+      .sort()
+      .map((key) => [key, String(params[key])]),
+  ).toString();
+}
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * @return {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+        store.createIndex('caseName', 'caseName');
+        store.createIndex('seriesKey', 'seriesKey');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * @template T
+ * @param {IDBTransactionMode} mode Mode
+ * @param {function(IDBObjectStore): IDBRequest<T>|void} callback Called with the store
+ * @return {Promise<T|undefined>} Result of the request returned by the callback, once the transaction completes
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () =>
+      resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * @param {import('./results.js').BenchResults} results Results of a completed run
+ * @return {Promise<number>} Id of the new entry
+ */
+export async function saveRun(results) {
+  const paramsKey = getParamsKey(results.params);
+  /** @type {HistoryEntry} */
+  const entry = {
+    savedAt: Date.now(),
+    caseName: results.caseName,
+    olVersion: results.olVersion,
+    renderer: results.renderer,
+    paramsKey,
+    seriesKey: [results.caseName, results.renderer, paramsKey].join('|'),
+    baseline: false,
+    results,
+  };
+  const id = await withStore('readwrite', (store) => store.add(entry));
+  return /** @type {number} */ (id);
+}
+
+/**
+ * @return {Promise<Array<HistoryEntry>>} All the entries, oldest first
+ */
+export async function listRuns() {
+  const entries = await withStore('readonly', (store) => store.getAll());
+  return /** @type {Array<HistoryEntry>} */ (entries ?? []).sort(
+    (a, b) => a.savedAt - b.savedAt,
+  );
+}
+
+/**
+ * @param {number} id Id of the entry
+ * @return {Promise<void>} Resolves once deleted
+ */
+export async function deleteRun(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Pins an entry as the baseline of its series; the previous baseline of the series (if any) is unpinned.
+ * Pinning the current baseline again unpins it.
+ * @param {number} id Id of the entry
+ * @return {Promise<void>} Resolves once saved
+ */
+export async function toggleBaseline(id) {
+  await withStore('readwrite', (store) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      /** @type {HistoryEntry|undefined} */
+      const entry = getRequest.result;
+      if (!entry) {
+        return;
+      }
+      const pin = !entry.baseline;
+      const cursorRequest = store
+        .index('seriesKey')
+        .openCursor(IDBKeyRange.only(entry.seriesKey));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          return;
+        }
+        /** @type {HistoryEntry} */
+        const current = cursor.value;
+        const baseline = pin && current.id === id;
+        if (current.baseline !== baseline) {
+          cursor.update({...current, baseline});
+        }
+        cursor.continue();
+      };
+    };
+  });
+}
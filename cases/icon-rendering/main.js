@@ -0,0 +1,289 @@
+import VectorLayer from 'ol/layer/Vector.js';
+import VectorSource from 'ol/source/Vector.js';
+import IconImage from 'ol/style/IconImage.js';
+import {
+  WebGLVectorLayer,
+  createMap,
+  getGuiParameterValue,
+  initializeGui,
+  loadGeneratedData,
+  regenerateLayer,
+  registerDataset,
+  registerGuiParameter,
+  registerGuiSelectParameter,
+} from '../common.js';
+import {ICON_FORMATS, IconSet} from '../icons.js';
+
+/**
+ * Anchors of the icons, by label.
+ */
+const ANCHORS = {
+  'Center': 'center',
+  'Bottom (pin)': 'bottom',
+  'Varying': 'varying',
+};
+
+/**
+ * Features are numbered from 1 in their `label` property, see the `labels` option of the generators;
+ * icons and their variations follow from it.
+ * @type {import('ol/expr/expression.js').ExpressionValue}
+ */
+const FEATURE_NUMBER = ['get', 'label'];
+
+/**
+ * Anchors taken in turn with the `varying` anchor: center and corners.
+ */
+const VARYING_ANCHORS = [
+  [0.5, 0.5],
+  [0, 0],
+  [1, 0],
+  [0, 1],
+  [1, 1],
+];
+
+/**
+ * Consecutive features get rotations far apart.
+ */
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+const source = new VectorSource({
+  wrapX: false,
+});
+
+/**
+ * Replaced every time the images change; the layers are only created once it is set.
+ * @type {IconSet|null}
+ */
+let icons = null;
+
+/**
+ * @param {number} count Number of values
+ * @return {import('ol/expr/expression.js').ExpressionValue} Value of a feature, from 0 to `count - 1`
+ */
+function getFeatureModulo(count) {
+  // offset by half, so that rounding errors of the GPU do not change the result
+  return ['floor', ['%', ['+', FEATURE_NUMBER, 0.5], count]];
+}
+
+/**
+ * @return {import('ol/expr/expression.js').ExpressionValue} Index of the icon of a feature
+ */
+function getIconIndex() {
+  return getFeatureModulo(/** @type {IconSet} */ (icons).count);
+}
+
+/**
+ * @return {import('ol/style/flat.js').FlatStyle} Style properties shared by all the icons
+ */
+function createCommonStyle() {
+  /** @type {import('ol/style/flat.js').FlatStyle} */
+  const style = {
+    'icon-scale': /** @type {number} */ (getGuiParameterValue('scale')),
+  };
+  if (getGuiParameterValue('rotation')) {
+    style['icon-rotation'] = ['*', FEATURE_NUMBER, GOLDEN_ANGLE];
+  }
+  const anchor = getGuiParameterValue('anchor');
+  if (anchor === 'bottom') {
+    style['icon-anchor'] = [0.5, 1];
+  } else if (anchor === 'varying') {
+    // the Canvas renderer cannot build arrays for each feature, only pick one
+    style['icon-anchor'] = [
+      'match',
+      getFeatureModulo(VARYING_ANCHORS.length),
+      ...VARYING_ANCHORS.slice(1).flatMap((value, i) => [i + 1, value]),
+      VARYING_ANCHORS[0],
+    ];
+  }
+  return style;
+}
+
+/**
+ * One rule per icon, with constant image properties; this works with every renderer.
+ * @return {Array<import('ol/style/flat.js').Rule>} Rules
+ */
+function createRules() {
+  const iconSet = /** @type {IconSet} */ (icons);
+  const common = createCommonStyle();
+  const useAtlas = getGuiParameterValue('atlas');
+  return Array.from({length: iconSet.count}, (_, index) => ({
+    filter: ['==', getIconIndex(), index],
+    style: useAtlas
+      ? {
+          ...common,
+          'icon-src': iconSet.getAtlas().src,
+          'icon-offset': iconSet.getAtlasOffset(index),
+          'icon-size': [iconSet.size, iconSet.size],
+        }
+      : {...common, 'icon-src': iconSet.getImageSrc(index)},
+  }));
+}
+
+/**
+ * A single style reading the icons from the atlas, with the offset computed for each feature; only
+ * WebGL takes expressions for the offset.
+ * @return {import('ol/style/flat.js').FlatStyle} Style
+ */
+function createAtlasStyle() {
+  const iconSet = /** @type {IconSet} */ (icons);
+  const {src, columns} = iconSet.getAtlas();
+  // offset by half like the index
+  const index = ['+', getIconIndex(), 0.5];
+  return {
+    ...createCommonStyle(),
+    'icon-src': src,
+    'icon-offset': [
+      'array',
+      ['*', ['floor', ['%', index, columns]], iconSet.size],
+      ['*', ['floor', ['/', index, columns]], iconSet.size],
+    ],
+    'icon-size': [iconSet.size, iconSet.size],
+  };
+}
+
+/**
+ * @param {number} count The number of features to create.
+ * @return {Promise<void>} Resolves once the features are added
+ */
+function resetData(count) {
+  return loadGeneratedData(source, 'points', [count, 5], {labels: true});
+}
+
+/**
+ * Draws the icons again with the current parameters and renders them.
+ * @return {Promise<void>} Resolves once the layer is created
+ */
+function resetIcons() {
+  icons = new IconSet(
+    /** @type {number} */ (getGuiParameterValue('images')),
+    /** @type {number} */ (getGuiParameterValue('size')),
+    /** @type {string} */ (getGuiParameterValue('format')),
+  );
+  return regenerateLayer();
+}
+
+/**
+ * @param {*} value New value
+ * @param {boolean|null} initial Whether this is the initial call
+ * @return {Promise<void>|undefined} Resolves once the layer is created
+ */
+function onIconsChange(value, initial) {
+  if (initial) {
+    return;
+  }
+  return resetIcons();
+}
+
+/**
+ * @param {*} value New value
+ * @param {boolean|null} initial Whether this is the initial call
+ * @return {Promise<void>|undefined} Resolves once the layer is created
+ */
+function onStyleChange(value, initial) {
+  if (initial) {
+    return;
+  }
+  return regenerateLayer();
+}
+
+function main() {
+  createMap(
+    (map) => {
+      if (!icons) {
+        return;
+      }
+      const style = getGuiParameterValue('atlas')
+        ? createAtlasStyle()
+        : createRules();
+      map.addLayer(new WebGLVectorLayer({source, properties: {style}}));
+    },
+    (map) => {
+      if (!icons) {
+        return;
+      }
+      map.addLayer(new VectorLayer({source, style: createRules()}));
+    },
+  );
+  initializeGui({
+    trackedClasses: [
+      {klass: IconSet, name: 'IconSet'},
+      {klass: IconImage, name: 'Canvas IconImage'},
+    ],
+  });
+  registerGuiParameter(
+    'count',
+    'Feature count',
+    [10000, 200000, 1000],
+    50000,
+    (value, initial) => {
+      if (initial) {
+        return;
+      }
+      return resetData(/** @type {number} */ (value));
+    },
+  );
+  registerGuiParameter(
+    'images',
+    'Distinct images',
+    [1, 256, 1],
+    16,
+    onIconsChange,
+  );
+  registerGuiParameter(
+    'size',
+    'Image size (px)',
+    [16, 128, 8],
+    32,
+    onIconsChange,
+  );
+  registerGuiSelectParameter(
+    'format',
+    'Image format',
+    ICON_FORMATS,
+    'svg',
+    onIconsChange,
+  );
+  registerGuiParameter(
+    'atlas',
+    'Sprite atlas',
+    ['yes', 'no'],
+    false,
+    onStyleChange,
+  );
+  registerGuiParameter(
+    'scale',
+    'Icon scale',
+    [0.25, 4, 0.25],
+    1,
+    onStyleChange,
+  );
+  registerGuiParameter(
+    'rotation',
+    'Rotation',
+    ['yes', 'no'],
+    false,
+    onStyleChange,
+  );
+  registerGuiSelectParameter(
+    'anchor',
+    'Anchor',
+    ANCHORS,
+    'center',
+    onStyleChange,
+  );
+
+  resetIcons();
+  const resetGeneratedData = () =>
+    resetData(/** @type {number} */ (getGuiParameterValue('count')));
+  const hasDataset = registerDataset(source, {
+    generatorParams: ['count'],
+    resetData: resetGeneratedData,
+    // the icons, rotations and anchors follow from the number of the feature
+    defaultProperties: (random, index) => ({label: index + 1}),
+  });
+  if (!hasDataset) {
+    resetGeneratedData();
+  }
+}
+
+main();
@@ -0,0 +1,172 @@
+/**
+ * Icons drawn in the page for the icon case, either as separate images or gathered in a sprite atlas.
+ * Every icon is a shape given as an SVG path, so that it can be written as SVG or drawn on a canvas and
+ * encoded as PNG; shapes and colors vary from one icon to the next.
+ */
+
+/**
+ * Image formats of the icons, by label.
+ */
+export const ICON_FORMATS = {
+  SVG: 'svg',
+  PNG: 'png',
+};
+
+/**
+ * Size of the view box of the shapes.
+ */
+const VIEW_BOX_SIZE = 24;
+
+/**
+ * Shapes of the icons, as SVG paths in a 24x24 view box.
+ */
+const SHAPES = [
+  // pin
+  'M12 2a7 7 0 0 0-7 7c0 5 7 13 7 13s7-8 7-13a7 7 0 0 0-7-7z',
+  // star
+  'M12 2l3 7h7l-6 4.5 2.5 7.5-6.5-4.5-6.5 4.5 2.5-7.5-6-4.5h7z',
+  // square
+  'M4 4h16v16h-16z',
+  // circle
+  'M12 3a9 9 0 1 0 0.01 0z',
+  // triangle
+  'M12 3l10 18h-20z',
+  // hexagon
+  'M7 3h10l5 9-5 9h-10l-5-9z',
+  // cross
+  'M9 2h6v7h7v6h-7v7h-6v-7h-7v-6h7z',
+  // diamond
+  'M12 2l9 10-9 10-9-10z',
+];
+
+/**
+ * Consecutive icons get hues far apart.
+ */
+const GOLDEN_ANGLE_DEGREES = 137.508;
+
+/**
+ * @typedef {Object} IconAtlas
+ * @property {string} src Url of the image
+ * @property {number} columns Number of icons in a row, from left to right and top to bottom
+ */
+
+/**
+ * @param {number} index Index of the icon
+ * @return {{path: string, color: string}} Shape and color of the icon
+ */
+function getIconShape(index) {
+  return {
+    path: SHAPES[index % SHAPES.length],
+    color: `hsl(${(index * GOLDEN_ANGLE_DEGREES) % 360}, 70%, 50%)`,
+  };
+}
+
+/**
+ * @param {Array<number>} indices Indices of the icons
+ * @param {number} columns Number of icons in a row
+ * @param {number} size Width and height of an icon in pixels
+ * @return {string} Url of the SVG image
+ */
+function writeSvg(indices, columns, size) {
+  const rows = Math.ceil(indices.length / columns);
+  const scale = size / VIEW_BOX_SIZE;
+  const icons = indices.map((index, i) => {
+    const {path, color} = getIconShape(index);
+    const x = (i % columns) * size;
+    const y = Math.floor(i / columns) * size;
+    return `<path transform="translate(${x} ${y}) scale(${scale})" d="${path}" fill="${color}" stroke="#333"/>`;
+  });
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${columns * size}" height="${rows * size}">${icons.join('')}</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * @param {Array<number>} indices Indices of the icons
+ * @param {number} columns Number of icons in a row
+ * @param {number} size Width and height of an icon in pixels
+ * @return {string} Url of the PNG image
+ */
+function drawPng(indices, columns, size) {
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * size;
+  canvas.height = Math.ceil(indices.length / columns) * size;
+  const context = /** @type {CanvasRenderingContext2D} */ (
+    canvas.getContext('2d')
+  );
+  const scale = size / VIEW_BOX_SIZE;
+  context.strokeStyle = '#333';
+  context.lineWidth = 1;
+  indices.forEach((index, i) => {
+    const {path, color} = getIconShape(index);
+    context.setTransform(
+      scale,
+      0,
+      0,
+      scale,
+      (i % columns) * size,
+      Math.floor(i / columns) * size,
+    );
+    const shape = new Path2D(path);
+    context.fillStyle = color;
+    context.fill(shape);
+    context.stroke(shape);
+  });
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Set of distinct icons, drawn when they are first asked for.
+ */
+export class IconSet {
+  /**
+   * @param {number} count Number of distinct icons
+   * @param {number} size Width and height of an icon in pixels
+   * @param {string} format Image format, see {@link ICON_FORMATS}
+   */
+  constructor(count, size, format) {
+    this.count = count;
+    this.size = size;
+    /** @type {function(Array<number>, number, number): string} */
+    this.draw = format === 'png' ? drawPng : writeSvg;
+    /**
+     * Urls of the images of the icons, by index.
+     * @type {Array<string>}
+     */
+    this.srcs = [];
+    /** @type {IconAtlas|null} */
+    this.atlas = null;
+  }
+
+  /**
+   * @param {number} index Index of the icon
+   * @return {string} Url of the image of the icon
+   */
+  getImageSrc(index) {
+    this.srcs[index] ??= this.draw([index], 1, this.size);
+    return this.srcs[index];
+  }
+
+  /**
+   * @return {IconAtlas} Image holding all the icons, on a grid
+   */
+  getAtlas() {
+    if (!this.atlas) {
+      const columns = Math.ceil(Math.sqrt(this.count));
+      const indices = Array.from({length: this.count}, (_, i) => i);
+      this.atlas = {src: this.draw(indices, columns, this.size), columns};
+    }
+    return this.atlas;
+  }
+
+  /**
+   * @param {number} index Index of the icon
+   * @return {Array<number>} Offset of the icon in the atlas, in pixels
+   */
+  getAtlasOffset(index) {
+    const {columns} = this.getAtlas();
+    return [
+      (index % columns) * this.size,
+      Math.floor(index / columns) * this.size,
+    ];
+  }
+}
@@ -0,0 +1,245 @@
+import VectorLayer from 'ol/layer/Vector.js';
+import VectorSource from 'ol/source/Vector.js';
+import {
+  WebGLVectorLayer,
+  createMap,
+  getGuiParameterValue,
+  initializeGui,
+  loadGeneratedData,
+  regenerateLayer,
+  registerDataset,
+  registerGuiParameter,
+  registerGuiSelectParameter,
+} from '../common.js';
+
+/**
+ * Geometries carrying the labels, by label.
+ */
+const GEOMETRIES = {
+  Points: 'points',
+  Lines: 'lines',
+  Polygons: 'polygons',
+};
+
+/**
+ * Fonts of the labels, by label.
+ */
+const FONTS = {
+  'Sans-serif 12px': '12px sans-serif',
+  'Bold sans-serif 14px': 'bold 14px sans-serif',
+  'Serif 16px': '16px serif',
+  'Italic monospace 12px': 'italic 12px monospace',
+};
+
+/**
+ * Placements of the labels, by label.
+ */
+const PLACEMENTS = {
+  Point: 'point',
+  Line: 'line',
+};
+
+/**
+ * Lines are split in parts, each carrying a label.
+ */
+const PARTS_PER_LINE = 10;
+
+const source = new VectorSource({
+  wrapX: false,
+});
+
+/**
+ * The style of the labels is read from the parameters, so the layers are only created once they are
+ * all registered, see `main()`.
+ */
+let parametersRegistered = false;
+
+/**
+ * @type {import('ol/style/flat.js').FlatStyle}
+ */
+const geometryStyle = {
+  'fill-color': ['get', 'color'],
+  'stroke-color': ['get', 'color'],
+  'stroke-width': 1.5,
+  'circle-radius': 3,
+  'circle-fill-color': ['get', 'color'],
+};
+
+/**
+ * @return {import('ol/style/flat.js').FlatStyle} Style of the labels
+ */
+function createTextStyle() {
+  const rotation = /** @type {number} */ (getGuiParameterValue('rotation'));
+  /** @type {import('ol/style/flat.js').FlatStyle} */
+  const style = {
+    'text-value': ['concat', 'Label ', ['get', 'label']],
+    'text-font': /** @type {string} */ (getGuiParameterValue('font')),
+    'text-fill-color': '#333',
+    'text-placement': /** @type {string} */ (getGuiParameterValue('placement')),
+    'text-overflow': /** @type {boolean} */ (getGuiParameterValue('overflow')),
+    'text-rotation': (rotation * Math.PI) / 180,
+  };
+  if (getGuiParameterValue('halo')) {
+    style['text-stroke-color'] = '#fff';
+    style['text-stroke-width'] = 3;
+  }
+  return style;
+}
+
+/**
+ * @param {number} count Number of labels
+ * @param {string} geometry Geometries carrying the labels, see {@link GEOMETRIES}
+ * @return {Promise<void>} Resolves once the features are added
+ */
+function resetData(count, geometry) {
+  if (geometry === 'lines') {
+    // one label per part
+    return loadGeneratedData(
+      source,
+      'lines',
+      [Math.max(1, Math.round(count / PARTS_PER_LINE)), 20, 1.5],
+      {shape: 'multi', labels: true},
+    );
+  }
+  if (geometry === 'polygons') {
+    return loadGeneratedData(source, 'polygons', [count, 8], {labels: true});
+  }
+  return loadGeneratedData(source, 'points', [count, 3], {labels: true});
+}
+
+/**
+ * @return {Promise<void>} Resolves once the features are added
+ */
+function resetGeneratedData() {
+  return resetData(
+    /** @type {number} */ (getGuiParameterValue('count')),
+    /** @type {string} */ (getGuiParameterValue('geometry')),
+  );
+}
+
+/**
+ * @param {*} value New value
+ * @param {boolean|null} initial Whether this is the initial call
+ * @return {Promise<void>|undefined} Resolves once the features are added
+ */
+function onDataChange(value, initial) {
+  if (initial) {
+    return;
+  }
+  return resetGeneratedData();
+}
+
+/**
+ * @param {*} value New value
+ * @param {boolean|null} initial Whether this is the initial call
+ * @return {Promise<void>|undefined} Resolves once the layer is created
+ */
+function onStyleChange(value, initial) {
+  if (initial) {
+    return;
+  }
+  return regenerateLayer();
+}
+
+function main() {
+  createMap(
+    (map) => {
+      if (!parametersRegistered) {
+        return;
+      }
+      // WebGL layers do not render text, the labels are drawn on top by a Canvas layer
+      map.addLayer(
+        new WebGLVectorLayer({source, properties: {style: geometryStyle}}),
+      );
+      map.addLayer(
+        new VectorLayer({
+          source,
+          style: createTextStyle(),
+          declutter: /** @type {boolean} */ (getGuiParameterValue('declutter')),
+        }),
+      );
+    },
+    (map) => {
+      if (!parametersRegistered) {
+        return;
+      }
+      map.addLayer(
+        new VectorLayer({
+          source,
+          style: {
+            ...geometryStyle,
+            // only the labels are decluttered, like with the WebGL renderer
+            'circle-declutter-mode': 'none',
+            ...createTextStyle(),
+          },
+          declutter: /** @type {boolean} */ (getGuiParameterValue('declutter')),
+        }),
+      );
+    },
+  );
+  initializeGui();
+  registerGuiParameter(
+    'count',
+    'Label count',
+    [100, 50000, 100],
+    2000,
+    onDataChange,
+  );
+  registerGuiSelectParameter(
+    'geometry',
+    'Geometry type',
+    GEOMETRIES,
+    'points',
+    onDataChange,
+  );
+  registerGuiSelectParameter(
+    'font',
+    'Font',
+    FONTS,
+    '12px sans-serif',
+    onStyleChange,
+  );
+  registerGuiParameter('halo', 'Halo', ['yes', 'no'], true, onStyleChange);
+  registerGuiSelectParameter(
+    'placement',
+    'Placement',
+    PLACEMENTS,
+    'point',
+    onStyleChange,
+  );
+  registerGuiParameter(
+    'declutter',
+    'Declutter',
+    ['yes', 'no'],
+    true,
+    onStyleChange,
+  );
+  registerGuiParameter(
+    'overflow',
+    'Overflow',
+    ['yes', 'no'],
+    false,
+    onStyleChange,
+  );
+  registerGuiParameter(
+    'rotation',
+    'Rotation (degrees)',
+    [0, 90, 5],
+    0,
+    onStyleChange,
+  );
+  parametersRegistered = true;
+  regenerateLayer();
+
+  const hasDataset = registerDataset(source, {
+    generatorParams: ['count', 'geometry'],
+    resetData: resetGeneratedData,
+    // numbered from 1 like the generated features
+    defaultProperties: (random, index) => ({label: index + 1}),
+  });
+  if (!hasDataset) {
+    resetGeneratedData();
+  }
+}
+
+main();
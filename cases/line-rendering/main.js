@@ -2,14 +2,16 @@ import VectorLayer from 'ol/layer/Vector.js';
 import VectorSource from 'ol/source/Vector.js';
 import {
   WebGLVectorLayer,
-  addGeoJsonToSource,
   createMap,
-  generateLines,
   getGuiParameterValue,
   initializeGui,
+  loadGeneratedData,
   regenerateLayer,
+  registerDataset,
   registerGuiParameter,
+  registerGuiSelectParameter,
 } from '../common.js';
+import {LINE_SHAPES} from '../generators.js';
 
 const source = new VectorSource({
   wrapX: false,
@@ -29,9 +31,15 @@ const style = {
  * @param {number} lineCount From 1 to 100
  * @param {number} curveComplexity From 2 to 1000
  * @param {number} width line width
+ * @return {Promise<void>} Resolves once the features are added
  */
 function resetData(lineCount, curveComplexity, width) {
-  addGeoJsonToSource(generateLines(lineCount, curveComplexity, width), source);
+  return loadGeneratedData(
+    source,
+    'lines',
+    [lineCount, curveComplexity, width],
+    {shape: /** @type {string} */ (getGuiParameterValue('shape'))},
+  );
 }
 
 function main() {
@@ -66,7 +74,7 @@ function main() {
       if (initial) {
         return;
       }
-      resetData(
+      return resetData(
         /** @type {number} */ (value),
         /** @type {number} */ (getGuiParameterValue('curveComplexity')),
         /** @type {number} */ (getGuiParameterValue('width')),
@@ -77,7 +85,7 @@ function main() {
     if (initial) {
       return;
     }
-    resetData(
+    return resetData(
       /** @type {number} */ (getGuiParameterValue('count')),
       /** @type {number} */ (getGuiParameterValue('curveComplexity')),
       /** @type {number} */ (value),
@@ -92,13 +100,29 @@ function main() {
       if (initial) {
         return;
       }
-      resetData(
+      return resetData(
         /** @type {number} */ (getGuiParameterValue('count')),
         /** @type {number} */ (value),
         /** @type {number} */ (getGuiParameterValue('width')),
       );
     },
   );
+  registerGuiSelectParameter(
+    'shape',
+    'Shape',
+    LINE_SHAPES,
+    'wave',
+    (value, initial) => {
+      if (initial) {
+        return;
+      }
+      return resetData(
+        /** @type {number} */ (getGuiParameterValue('count')),
+        /** @type {number} */ (getGuiParameterValue('curveComplexity')),
+        /** @type {number} */ (getGuiParameterValue('width')),
+      );
+    },
+  );
   registerGuiParameter(
     'dash',
     'Dashes',
@@ -114,10 +138,19 @@ function main() {
     },
   );
 
-  resetData(
-    /** @type {number} */ (getGuiParameterValue('count')),
-    /** @type {number} */ (getGuiParameterValue('curveComplexity')),
-    /** @type {number} */ (getGuiParameterValue('width')),
-  );
+  const resetGeneratedData = () =>
+    resetData(
+      /** @type {number} */ (getGuiParameterValue('count')),
+      /** @type {number} */ (getGuiParameterValue('curveComplexity')),
+      /** @type {number} */ (getGuiParameterValue('width')),
+    );
+  const hasDataset = registerDataset(source, {
+    generatorParams: ['count', 'curveComplexity', 'width', 'shape'],
+    resetData: resetGeneratedData,
+    defaultProperties: () => ({width: getGuiParameterValue('width')}),
+  });
+  if (!hasDataset) {
+    resetGeneratedData();
+  }
 }
 main();
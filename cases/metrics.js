@@ -0,0 +1,97 @@
+/**
+ * Summary metrics of a run, shared by the pages and the tooling.
+ */
+
+/**
+ * @typedef {import('./results.js').BenchResults} BenchResults
+ */
+
+/**
+ * @typedef {Object} Metric
+ * @property {string} id Id (used in urls)
+ * @property {string} label Label
+ * @property {function(BenchResults): (number|null)} read Reads the value from the results
+ * @property {boolean} higherIsBetter Whether an increase is an improvement
+ */
+
+/**
+ * @param {keyof import('./stats.js').FrameStats} key Statistic
+ * @return {function(BenchResults): (number|null)} Reads the statistic from the results
+ */
+function frameStat(key) {
+  return (results) => results.frameStats?.[key] ?? null;
+}
+
+/**
+ * @type {Array<Metric>}
+ */
+export const METRICS = [
+  {
+    id: 'fps',
+    label: 'FPS',
+    read: (results) => results.fps,
+    higherIsBetter: true,
+  },
+  {
+    id: 'mean',
+    label: 'Mean frame time (ms)',
+    read: frameStat('mean'),
+    higherIsBetter: false,
+  },
+  {
+    id: 'p50',
+    label: 'p50 frame time (ms)',
+    read: frameStat('p50'),
+    higherIsBetter: false,
+  },
+  {
+    id: 'p95',
+    label: 'p95 frame time (ms)',
+    read: frameStat('p95'),
+    higherIsBetter: false,
+  },
+  {
+    id: 'p99',
+    label: 'p99 frame time (ms)',
+    read: frameStat('p99'),
+    higherIsBetter: false,
+  },
+  {
+    id: 'max',
+    label: 'Max frame time (ms)',
+    read: frameStat('max'),
+    higherIsBetter: false,
+  },
+  {
+    id: 'stdDev',
+    label: 'Frame time std. dev. (ms)',
+    read: frameStat('stdDev'),
+    higherIsBetter: false,
+  },
+  {
+    id: 'over16ms',
+    label: 'Frames over 16.7ms',
+    read: frameStat('over16ms'),
+    higherIsBetter: false,
+  },
+  {
+    id: 'over33ms',
+    label: 'Frames over 33.3ms',
+    read: frameStat('over33ms'),
+    higherIsBetter: false,
+  },
+  {
+    id: 'count',
+    label: 'Frame count',
+    read: frameStat('count'),
+    higherIsBetter: true,
+  },
+];
+
+/**
+ * @param {number|null} value Value
+ * @return {string} Formatted value
+ */
+export function formatMetric(value) {
+  return value === null || Number.isNaN(value) ? '–' : value.toFixed(2);
+}
@@ -0,0 +1,281 @@
+/**
+ * Encodes GeoJSON features into Mapbox Vector Tiles (see https://github.com/mapbox/vector-tile-spec), so
+ * that the vector tile cases can go through `ol/format/MVT.js` like applications loading real tiles do.
+ * Only what the generated data needs is supported: points, lines and polygons (single or multi) with
+ * number, string and boolean properties, in a single layer.
+ */
+import Pbf from 'pbf';
+
+/**
+ * Size of a tile in tile coordinates.
+ */
+export const MVT_EXTENT = 4096;
+
+const MOVE_TO = 1;
+const LINE_TO = 2;
+const CLOSE_PATH = 7;
+
+/**
+ * Geometry types of the encoded features, by GeoJSON geometry type.
+ * @type {Object<string, number>}
+ */
+const GEOMETRY_TYPES = {
+  Point: 1,
+  MultiPoint: 1,
+  LineString: 2,
+  MultiLineString: 2,
+  Polygon: 3,
+  MultiPolygon: 3,
+};
+
+/**
+ * @typedef {Object} EncodedFeature
+ * @property {number} type Geometry type, see {@link GEOMETRY_TYPES}
+ * @property {Array<number>} tags Indices of the keys and values of the properties, by pairs
+ * @property {Array<number>} geometry Commands and parameters of the geometry
+ */
+
+/**
+ * @typedef {Object} EncodedLayer
+ * @property {string} name Name
+ * @property {Array<EncodedFeature>} features Features
+ * @property {Array<string>} keys Property names
+ * @property {Array<string|number|boolean>} values Property values
+ */
+
+/**
+ * @param {number} id Command id
+ * @param {number} count Number of times the command is repeated
+ * @return {number} Command integer
+ */
+function command(id, count) {
+  return (id & 0x7) | (count << 3);
+}
+
+/**
+ * @param {number} value Value
+ * @return {number} Value encoded so that small negative numbers stay small
+ */
+function zigzag(value) {
+  return (value << 1) ^ (value >> 31);
+}
+
+/**
+ * @param {Array<Array<number>>} ring Ring in tile coordinates, without the closing point
+ * @return {number} Twice the signed area of the ring, positive if the ring is clockwise on screen
+ */
+function getRingArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area;
+}
+
+/**
+ * Adds a path to the commands of a geometry.
+ * @param {Array<number>} commands Commands
+ * @param {Array<number>} cursor Position of the cursor, updated
+ * @param {Array<Array<number>>} points Points in tile coordinates
+ * @param {boolean} closed Whether the path is a ring
+ */
+function addPath(commands, cursor, points, closed) {
+  commands.push(command(MOVE_TO, 1));
+  points.forEach(([x, y], i) => {
+    if (i === 1) {
+      commands.push(command(LINE_TO, points.length - 1));
+    }
+    commands.push(zigzag(x - cursor[0]), zigzag(y - cursor[1]));
+    cursor[0] = x;
+    cursor[1] = y;
+  });
+  if (closed) {
+    commands.push(command(CLOSE_PATH, 1));
+  }
+}
+
+/**
+ * @param {import('geojson').Geometry} geometry Geometry
+ * @param {function(import('geojson').Position): Array<number>} toTileCoordinate Converts a position
+ * to tile coordinates
+ * @return {Array<number>} Commands of the geometry, empty if it cannot be encoded
+ */
+function encodeGeometry(geometry, toTileCoordinate) {
+  /** @type {Array<number>} */
+  const commands = [];
+  const cursor = [0, 0];
+  switch (geometry.type) {
+    case 'Point':
+    case 'MultiPoint': {
+      const points = (
+        geometry.type === 'Point'
+          ? [geometry.coordinates]
+          : geometry.coordinates
+      ).map(toTileCoordinate);
+      commands.push(command(MOVE_TO, points.length));
+      for (const [x, y] of points) {
+        commands.push(zigzag(x - cursor[0]), zigzag(y - cursor[1]));
+        cursor[0] = x;
+        cursor[1] = y;
+      }
+      break;
+    }
+    case 'LineString':
+    case 'MultiLineString': {
+      const lines =
+        geometry.type === 'LineString'
+          ? [geometry.coordinates]
+          : geometry.coordinates;
+      for (const line of lines) {
+        if (line.length > 1) {
+          addPath(commands, cursor, line.map(toTileCoordinate), false);
+        }
+      }
+      break;
+    }
+    case 'Polygon':
+    case 'MultiPolygon': {
+      const polygons =
+        geometry.type === 'Polygon'
+          ? [geometry.coordinates]
+          : geometry.coordinates;
+      for (const polygon of polygons) {
+        polygon.forEach((ring, i) => {
+          // the closing point is implied by the ClosePath command
+          const points = ring.slice(0, -1).map(toTileCoordinate);
+          const area = getRingArea(points);
+          // rings collapsed by the rounding to tile coordinates are left out, with their holes
+          if (area === 0) {
+            return;
+          }
+          // exterior rings are clockwise on screen, holes counter-clockwise
+          if (i === 0 ? area < 0 : area > 0) {
+            points.reverse();
+          }
+          addPath(commands, cursor, points, true);
+        });
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return commands;
+}
+
+/**
+ * @param {EncodedLayer} layer Layer
+ * @param {Object<string, number>} keyIndices Index of each key in the layer
+ * @param {Object<string, number>} valueIndices Index of each value in the layer, by type and value
+ * @param {Object<string, *>|null} properties Properties of a feature
+ * @return {Array<number>} Tags of the feature
+ */
+function encodeProperties(layer, keyIndices, valueIndices, properties) {
+  /** @type {Array<number>} */
+  const tags = [];
+  for (const [key, value] of Object.entries(properties ?? {})) {
+    if (
+      typeof value !== 'number' &&
+      typeof value !== 'string' &&
+      typeof value !== 'boolean'
+    ) {
+      continue;
+    }
+    if (!(key in keyIndices)) {
+      keyIndices[key] = layer.keys.push(key) - 1;
+    }
+    const valueKey = `${typeof value}:${value}`;
+    if (!(valueKey in valueIndices)) {
+      valueIndices[valueKey] = layer.values.push(value) - 1;
+    }
+    tags.push(keyIndices[key], valueIndices[valueKey]);
+  }
+  return tags;
+}
+
+/**
+ * @param {string|number|boolean} value Value
+ * @param {Pbf} pbf Protobuf
+ */
+function writeValue(value, pbf) {
+  if (typeof value === 'string') {
+    pbf.writeStringField(1, value);
+  } else if (typeof value === 'boolean') {
+    pbf.writeBooleanField(7, value);
+  } else if (!Number.isInteger(value)) {
+    pbf.writeDoubleField(3, value);
+  } else if (value < 0) {
+    pbf.writeSVarintField(6, value);
+  } else {
+    pbf.writeVarintField(5, value);
+  }
+}
+
+/**
+ * @param {EncodedFeature} feature Feature
+ * @param {Pbf} pbf Protobuf
+ */
+function writeFeature(feature, pbf) {
+  pbf.writePackedVarint(2, feature.tags);
+  pbf.writeVarintField(3, feature.type);
+  pbf.writePackedVarint(4, feature.geometry);
+}
+
+/**
+ * @param {EncodedLayer} layer Layer
+ * @param {Pbf} pbf Protobuf
+ */
+function writeLayer(layer, pbf) {
+  pbf.writeVarintField(15, 2); // version
+  pbf.writeStringField(1, layer.name);
+  for (const feature of layer.features) {
+    pbf.writeMessage(2, writeFeature, feature);
+  }
+  for (const key of layer.keys) {
+    pbf.writeStringField(3, key);
+  }
+  for (const value of layer.values) {
+    pbf.writeMessage(4, writeValue, value);
+  }
+  pbf.writeVarintField(5, MVT_EXTENT);
+}
+
+/**
+ * Encodes features into a tile with a single layer.
+ * @param {Array<import('geojson').Feature>} features Features
+ * @param {string} layerName Name of the layer
+ * @param {function(import('geojson').Position): Array<number>} toTileCoordinate Converts a position to
+ * integer tile coordinates, from 0 to {@link MVT_EXTENT} (y pointing down)
+ * @return {ArrayBuffer} Content of the tile, like when it is fetched
+ */
+export function encodeTile(features, layerName, toTileCoordinate) {
+  /** @type {EncodedLayer} */
+  const layer = {name: layerName, features: [], keys: [], values: []};
+  /** @type {Object<string, number>} */
+  const keyIndices = {};
+  /** @type {Object<string, number>} */
+  const valueIndices = {};
+  for (const feature of features) {
+    if (!feature.geometry || !(feature.geometry.type in GEOMETRY_TYPES)) {
+      continue;
+    }
+    const geometry = encodeGeometry(feature.geometry, toTileCoordinate);
+    if (!geometry.length) {
+      continue;
+    }
+    layer.features.push({
+      type: GEOMETRY_TYPES[feature.geometry.type],
+      tags: encodeProperties(
+        layer,
+        keyIndices,
+        valueIndices,
+        feature.properties,
+      ),
+      geometry,
+    });
+  }
+  const pbf = new Pbf();
+  pbf.writeMessage(3, writeLayer, layer);
+  // copied, the buffer of the protobuf is larger than its content
+  return pbf.finish().slice().buffer;
+}
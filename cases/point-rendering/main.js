@@ -1,12 +1,15 @@
 import VectorLayer from 'ol/layer/Vector.js';
 import VectorSource from 'ol/source/Vector.js';
 import {
+  DISTRIBUTION_PARAMS,
   WebGLVectorLayer,
-  addGeoJsonToSource,
   createMap,
-  generatePoints,
+  getDistributionOptions,
   getGuiParameterValue,
   initializeGui,
+  loadGeneratedData,
+  registerDataset,
+  registerDistributionParameters,
   registerGuiParameter,
 } from '../common.js';
 
@@ -29,10 +32,16 @@ const style = {
 /**
  * @param {number} count The number of features to create.
  * @param {number} radius
+ * @return {Promise<void>} Resolves once the features are added
  */
 
 function resetData(count, radius) {
-  addGeoJsonToSource(generatePoints(count, radius), source);
+  return loadGeneratedData(
+    source,
+    'points',
+    [count, radius],
+    getDistributionOptions(),
+  );
 }
 
 function main() {
@@ -67,7 +76,7 @@ function main() {
       if (initial) {
         return;
       }
-      resetData(
+      return resetData(
         /** @type {number} */ (value),
         /** @type {number} */ (getGuiParameterValue('radius')),
       );
@@ -77,15 +86,33 @@ function main() {
     if (initial) {
       return;
     }
-    resetData(
+    return resetData(
       /** @type {number} */ (getGuiParameterValue('count')),
       /** @type {number} */ (value),
     );
   });
+  registerDistributionParameters((value, initial) => {
+    if (initial) {
+      return;
+    }
+    return resetData(
+      /** @type {number} */ (getGuiParameterValue('count')),
+      /** @type {number} */ (getGuiParameterValue('radius')),
+    );
+  });
 
-  resetData(
-    /** @type {number} */ (getGuiParameterValue('count')),
-    /** @type {number} */ (getGuiParameterValue('radius')),
-  );
+  const resetGeneratedData = () =>
+    resetData(
+      /** @type {number} */ (getGuiParameterValue('count')),
+      /** @type {number} */ (getGuiParameterValue('radius')),
+    );
+  const hasDataset = registerDataset(source, {
+    generatorParams: ['count', 'radius', ...DISTRIBUTION_PARAMS],
+    resetData: resetGeneratedData,
+    defaultProperties: () => ({radius: getGuiParameterValue('radius')}),
+  });
+  if (!hasDataset) {
+    resetGeneratedData();
+  }
 }
 main();
@@ -1,15 +1,20 @@
 import VectorLayer from 'ol/layer/Vector.js';
 import VectorSource from 'ol/source/Vector.js';
 import {
+  DISTRIBUTION_PARAMS,
   WebGLVectorLayer,
-  addGeoJsonToSource,
   createMap,
-  generatePolygons,
+  getDistributionOptions,
   getGuiParameterValue,
   initializeGui,
+  loadGeneratedData,
   regenerateLayer,
+  registerDataset,
+  registerDistributionParameters,
   registerGuiParameter,
+  registerGuiSelectParameter,
 } from '../common.js';
+import {POLYGON_SHAPES} from '../generators.js';
 
 const source = new VectorSource({
   wrapX: false,
@@ -25,9 +30,30 @@ const style = {
 /**
  * @param {number} count The number of features to create.
  * @param {number} numVertices Number of vertices for polygons
+ * @return {Promise<void>} Resolves once the features are added
  */
 function resetData(count, numVertices) {
-  addGeoJsonToSource(generatePolygons(count, numVertices), source);
+  return loadGeneratedData(source, 'polygons', [count, numVertices], {
+    shape: /** @type {string} */ (getGuiParameterValue('shape')),
+    holes: /** @type {number} */ (getGuiParameterValue('holes')),
+    ...getDistributionOptions(),
+  });
+}
+
+/**
+ * Called when the shape or the distribution changes.
+ * @param {*} value New value
+ * @param {boolean|null} initial Whether this is the initial call
+ * @return {Promise<void>|undefined} Resolves once the features are added
+ */
+function onShapeChange(value, initial) {
+  if (initial) {
+    return;
+  }
+  return resetData(
+    /** @type {number} */ (getGuiParameterValue('count')),
+    /** @type {number} */ (getGuiParameterValue('vertices')),
+  );
 }
 
 function main() {
@@ -62,7 +88,7 @@ function main() {
       if (initial) {
         return;
       }
-      resetData(
+      return resetData(
         /** @type {number} */ (value),
         /** @type {number} */ (getGuiParameterValue('vertices')),
       );
@@ -77,12 +103,27 @@ function main() {
       if (initial) {
         return;
       }
-      resetData(
+      return resetData(
         /** @type {number} */ (getGuiParameterValue('count')),
         /** @type {number} */ (value),
       );
     },
   );
+  registerGuiSelectParameter(
+    'shape',
+    'Shape',
+    POLYGON_SHAPES,
+    'star',
+    onShapeChange,
+  );
+  registerGuiParameter(
+    'holes',
+    'Holes (with holes shape)',
+    [1, 20, 1],
+    3,
+    onShapeChange,
+  );
+  registerDistributionParameters(onShapeChange);
   registerGuiParameter(
     'outline',
     'Show outline',
@@ -100,10 +141,24 @@ function main() {
     },
   );
 
-  resetData(
-    /** @type {number} */ (getGuiParameterValue('count')),
-    /** @type {number} */ (getGuiParameterValue('vertices')),
-  );
+  const resetGeneratedData = () =>
+    resetData(
+      /** @type {number} */ (getGuiParameterValue('count')),
+      /** @type {number} */ (getGuiParameterValue('vertices')),
+    );
+  const hasDataset = registerDataset(source, {
+    generatorParams: [
+      'count',
+      'vertices',
+      'shape',
+      'holes',
+      ...DISTRIBUTION_PARAMS,
+    ],
+    resetData: resetGeneratedData,
+  });
+  if (!hasDataset) {
+    resetGeneratedData();
+  }
 }
 
 main();
@@ -0,0 +1,140 @@
+/**
+ * Named parameter sets of a case. Built-in presets are declared in the `presets` of its `case.json`;
+ * presets saved by the user are kept in localStorage and can be exchanged as JSON files.
+ */
+
+/**
+ * Values of the parameters, as they appear in the url, by parameter id.
+ * @typedef {Object<string, string>} Preset
+ */
+
+/**
+ * @typedef {Object} PresetsFile
+ * @property {string} case Name of the case
+ * @property {Object<string, Preset>} presets Presets, by name
+ */
+
+const STORAGE_KEY_PREFIX = 'ol-benchmark-presets:';
+
+/**
+ * @param {*} value Value read from a file
+ * @return {Object<string, Preset>} Presets, with all values as strings
+ */
+function normalizePresets(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Presets must be an object of presets by name');
+  }
+  /** @type {Object<string, Preset>} */
+  const presets = {};
+  for (const name in value) {
+    const values = value[name];
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`Preset "${name}" must be an object of values by id`);
+    }
+    presets[name] = {};
+    for (const id in values) {
+      if (!['string', 'number', 'boolean'].includes(typeof values[id])) {
+        throw new Error(`Preset "${name}": invalid value for "${id}"`);
+      }
+      presets[name][id] = String(values[id]);
+    }
+  }
+  return presets;
+}
+
+/**
+ * @param {string} caseName Name of the case
+ * @return {Promise<Object<string, Preset>>} Presets declared in the `case.json` of the case
+ */
+export async function loadBuiltInPresets(caseName) {
+  // the case manifest is generated next to the cases, see `vite.config.js`
+  const response = await fetch(
+    new URL('../manifest.json', window.location.href),
+  );
+  if (!response.ok) {
+    throw new Error(`Could not load the case manifest: ${response.status}`);
+  }
+  const cases = await response.json();
+  const caseInfo = cases.find(
+    (/** @type {{name: string}} */ candidate) => candidate.name === caseName,
+  );
+  return normalizePresets(caseInfo?.presets ?? {});
+}
+
+/**
+ * @param {string} caseName Name of the case
+ * @return {Object<string, Preset>} Presets saved by the user
+ */
+export function getSavedPresets(caseName) {
+  const stored = localStorage.getItem(STORAGE_KEY_PREFIX + caseName);
+  if (!stored) {
+    return {};
+  }
+  try {
+    return normalizePresets(JSON.parse(stored));
+  } catch {
+    // the entry was modified by hand, start over
+    return {};
+  }
+}
+
+/**
+ * @param {string} caseName Name of the case
+ * @param {Object<string, Preset>} presets Presets saved by the user
+ */
+function setSavedPresets(caseName, presets) {
+  localStorage.setItem(STORAGE_KEY_PREFIX + caseName, JSON.stringify(presets));
+}
+
+/**
+ * @param {string} caseName Name of the case
+ * @param {string} name Name of the preset; an existing preset with this name is replaced
+ * @param {Preset} preset Values
+ */
+export function savePreset(caseName, name, preset) {
+  setSavedPresets(caseName, {...getSavedPresets(caseName), [name]: preset});
+}
+
+/**
+ * @param {string} caseName Name of the case
+ * @param {string} name Name of the preset
+ */
+export function deletePreset(caseName, name) {
+  const presets = getSavedPresets(caseName);
+  delete presets[name];
+  setSavedPresets(caseName, presets);
+}
+
+/**
+ * @param {string} caseName Name of the case
+ * @param {Object<string, Preset>} presets Presets
+ * @return {string} Content of a presets file
+ */
+export function serializePresets(caseName, presets) {
+  /** @type {PresetsFile} */
+  const file = {case: caseName, presets};
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Adds the presets of a file to the saved presets; presets with the same name are replaced.
+ * @param {string} caseName Name of the case
+ * @param {string} content Content of a presets file
+ * @param {Array<string>} reservedNames Names that cannot be imported (e.g. the built-in presets)
+ * @return {Array<string>} Names of the imported presets
+ */
+export function importPresets(caseName, content, reservedNames) {
+  const file = JSON.parse(content);
+  if (file?.case !== caseName) {
+    throw new Error(
+      `These presets are for "${file?.case}", not for "${caseName}"`,
+    );
+  }
+  const imported = Object.fromEntries(
+    Object.entries(normalizePresets(file.presets)).filter(
+      ([name]) => !reservedNames.includes(name),
+    ),
+  );
+  setSavedPresets(caseName, {...getSavedPresets(caseName), ...imported});
+  return Object.keys(imported);
+}
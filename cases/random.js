@@ -0,0 +1,58 @@
+/**
+ * Seeded pseudo-random number generation, so that the same seed always produces the same data.
+ * All data generators must use this instead of `Math.random()`.
+ */
+
+/**
+ * Returns a number in the [0, 1) range, like `Math.random()`.
+ * @typedef {function(): number} RandomGenerator
+ */
+
+export const DEFAULT_SEED = 1;
+
+let currentSeed = DEFAULT_SEED;
+
+/**
+ * @param {number} seed Seed used by all the generators from now on
+ */
+export function setSeed(seed) {
+  currentSeed = Math.floor(seed) >>> 0;
+}
+
+/**
+ * @return {number} Current seed
+ */
+export function getSeed() {
+  return currentSeed;
+}
+
+/**
+ * Creates a generator (mulberry32) yielding the same sequence for the same seed.
+ * @param {number} [seed] Seed; defaults to the current seed
+ * @return {RandomGenerator} Generator
+ */
+export function createRandom(seed = currentSeed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Combines the current seed with some values (e.g. a tile coordinate) into a new seed; useful
+ * when data is generated in chunks whose order is not deterministic.
+ * @param {...number} values Values
+ * @return {number} Seed
+ */
+export function deriveSeed(...values) {
+  let hash = currentSeed ^ 0x811c9dc5;
+  for (const value of values) {
+    hash = Math.imul(hash ^ (value | 0), 0x01000193);
+    hash ^= hash >>> 15;
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,217 @@
+/**
+ * Collects the measurements of a benchmark run and exposes them on `window.__benchResults`,
+ * so that external tooling (e.g. the headless runner) does not have to scrape the page.
+ */
+import {
+  getFrameStats,
+  // @ts-ignore
+} from '@camptocamp/rendering-analyzer';
+import {unByKey} from 'ol/Observable.js';
+import {computeFrameStats} from './stats.js';
+
+/**
+ * Name of the event dispatched on `window` when a run finishes; `event.detail` holds a copy of the results.
+ */
+export const BENCHMARK_COMPLETE_EVENT = 'benchmarkcomplete';
+
+/**
+ * @typedef {Object} ClassTiming
+ * @property {number} totalMs Time spent in the class during the run
+ * @property {number} meanPerFrameMs Average time spent in the class per frame
+ */
+
+/**
+ * @typedef {'idle'|'running'|'complete'} RunStatus
+ */
+
+/**
+ * @typedef {Object} BenchResults
+ * @property {number} schemaVersion Incremented whenever the shape of this object changes
+ * @property {RunStatus} status Status of the current run
+ * @property {string} caseName Name of the case (directory under `cases/`)
+ * @property {string} olVersion OpenLayers version
+ * @property {string} renderer Active renderer
+ * @property {Object<string, boolean|number|string>} params Values of all the GUI parameters
+ * @property {string} scenario Name of the camera scenario played during the run
+ * @property {number|null} startTime Start of the run (`performance.now()` timestamp)
+ * @property {number|null} durationMs Duration of the run
+ * @property {Array<number>} postrenderTimestamps Timestamp of every `postrender` event during the run
+ * @property {Array<number>} frameDurations Duration of each frame, from one `postrender` to the next
+ * @property {number|null} fps Average frames per second over the run
+ * @property {import('./stats.js').FrameStats|null} frameStats Statistics on all the frame durations
+ * @property {import('./stats.js').FrameStats|null} filteredFrameStats Statistics on the frame durations, outliers left out
+ * @property {Object<string, ClassTiming>} classTimings Per-class timings (only when performance tracking is enabled)
+ */
+
+/**
+ * @return {string} Name of the case, taken from the page url
+ */
+export function getCaseName() {
+  const match = window.location.pathname.match(/\/cases\/([^/]+)\//);
+  return match ? match[1] : '';
+}
+
+/**
+ * @type {BenchResults}
+ */
+const results = {
+  schemaVersion: 1,
+  status: 'idle',
+  caseName: getCaseName(),
+  olVersion: '',
+  renderer: '',
+  params: {},
+  scenario: '',
+  startTime: null,
+  durationMs: null,
+  postrenderTimestamps: [],
+  frameDurations: [],
+  fps: null,
+  frameStats: null,
+  filteredFrameStats: null,
+  classTimings: {},
+};
+
+// @ts-ignore
+window.__benchResults = results;
+
+/**
+ * @typedef {Object} ResultsContext
+ * @property {string} olVersion OpenLayers version
+ * @property {string} renderer Active renderer
+ * @property {Object<string, *>} params GUI parameters; functions and internal values are left out
+ */
+
+/**
+ * @type {function(): ResultsContext}
+ */
+let getContext = () => ({olVersion: '', renderer: '', params: {}});
+
+/**
+ * @param {function(): ResultsContext} callback Called to read the renderer, version and parameters at
+ * the start and end of each run
+ */
+export function setResultsContextProvider(callback) {
+  getContext = callback;
+  updateContext();
+}
+
+function updateContext() {
+  const context = getContext();
+  results.olVersion = context.olVersion;
+  results.renderer = context.renderer;
+  /** @type {Object<string, boolean|number|string>} */
+  const params = {};
+  for (const id in context.params) {
+    const value = context.params[id];
+    if (typeof value === 'function' || id.endsWith('__log')) {
+      continue;
+    }
+    params[id] = value;
+  }
+  results.params = params;
+}
+
+/**
+ * Sums up the time spent in each tracked class in the analyzer frames from `startIndex` onwards.
+ * @param {number} startIndex Index of the first frame to include
+ * @return {Object<string, ClassTiming>} Per-class timings
+ */
+function collectClassTimings(startIndex) {
+  const frames = getFrameStats().slice(startIndex);
+  /** @type {Object<string, ClassTiming>} */
+  const timings = {};
+  for (const frame of frames) {
+    for (const className in frame.classes) {
+      if (!(className in timings)) {
+        timings[className] = {totalMs: 0, meanPerFrameMs: 0};
+      }
+      timings[className].totalMs += frame.classes[className].spentTotalMs || 0;
+    }
+  }
+  for (const className in timings) {
+    timings[className].meanPerFrameMs =
+      timings[className].totalMs / frames.length;
+  }
+  return timings;
+}
+
+/** @type {import('ol/events.js').EventsKey|null} */
+let postrenderKey = null;
+
+let startFrameIndex = 0;
+
+/**
+ * @return {BenchResults} The results object (the same one as `window.__benchResults`)
+ */
+export function getResults() {
+  return results;
+}
+
+/**
+ * Starts recording frames; any previous results are discarded.
+ * @param {import('ol/Map.js').default} map Map
+ * @param {string} scenario Name of the camera scenario
+ */
+export function startRun(map, scenario) {
+  if (postrenderKey) {
+    unByKey(postrenderKey);
+  }
+  updateContext();
+  const startTime = performance.now();
+  results.status = 'running';
+  results.scenario = scenario;
+  results.startTime = startTime;
+  results.durationMs = null;
+  results.postrenderTimestamps = [];
+  results.frameDurations = [];
+  results.fps = null;
+  results.frameStats = null;
+  results.filteredFrameStats = null;
+  results.classTimings = {};
+  startFrameIndex = getFrameStats().length;
+
+  let lastFrameTime = startTime;
+  postrenderKey = map.on('postrender', () => {
+    const now = performance.now();
+    results.postrenderTimestamps.push(now);
+    results.frameDurations.push(now - lastFrameTime);
+    lastFrameTime = now;
+  });
+}
+
+/**
+ * Stops recording frames, computes the summary and dispatches the {@link BENCHMARK_COMPLETE_EVENT} event.
+ * When the page is embedded in a frame, the results are also posted to the parent window.
+ * @param {boolean} trackClasses Whether per-class timings are available
+ */
+export function finishRun(trackClasses) {
+  if (results.status !== 'running' || results.startTime === null) {
+    return;
+  }
+  if (postrenderKey) {
+    unByKey(postrenderKey);
+    postrenderKey = null;
+  }
+  updateContext();
+  const durationMs = performance.now() - results.startTime;
+  results.durationMs = durationMs;
+  results.fps = (results.frameDurations.length * 1000) / durationMs;
+  results.frameStats = computeFrameStats(results.frameDurations);
+  results.filteredFrameStats = computeFrameStats(results.frameDurations, true);
+  results.classTimings = trackClasses
+    ? collectClassTimings(startFrameIndex)
+    : {};
+  results.status = 'complete';
+
+  const snapshot = structuredClone(results);
+  window.dispatchEvent(
+    new CustomEvent(BENCHMARK_COMPLETE_EVENT, {detail: snapshot}),
+  );
+  if (window.parent !== window) {
+    window.parent.postMessage(
+      {type: BENCHMARK_COMPLETE_EVENT, results: snapshot},
+      window.location.origin,
+    );
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Run-all-renderers mode: runs the scenario once per renderer supported by the case, reloading the
+ * page between runs so that each renderer starts from a clean state (caches, analyzer statistics). The
+ * progress and the results are handed over from one page load to the next in sessionStorage; the
+ * orchestration itself is driven by `common.js`.
+ */
+import {METRICS, formatMetric} from './metrics.js';
+
+/**
+ * @typedef {Object} RunAllEntry
+ * @property {string} renderer Renderer
+ * @property {import('./results.js').BenchResults|null} results Results, null if the renderer could not be used
+ */
+
+/**
+ * @typedef {Object} RunAllState
+ * @property {string} caseName Name of the case
+ * @property {Array<string>} renderers Renderers to run, in order
+ * @property {string} initialRenderer Renderer selected before the runs, restored at the end
+ * @property {Array<RunAllEntry>} entries Runs done so far, in the order of `renderers`
+ */
+
+const STORAGE_KEY = 'ol-benchmark-run-all';
+
+/**
+ * @param {string} caseName Name of the case
+ * @return {RunAllState|null} State of the runs in progress for the case, if any
+ */
+export function getRunAllState(caseName) {
+  const stored = sessionStorage.getItem(STORAGE_KEY);
+  if (!stored) {
+    return null;
+  }
+  try {
+    const state = /** @type {RunAllState} */ (JSON.parse(stored));
+    return state.caseName === caseName ? state : null;
+  } catch {
+    // the entry was modified by hand, start over
+    return null;
+  }
+}
+
+/**
+ * @param {RunAllState} state State
+ */
+export function setRunAllState(state) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+}
+
+export function clearRunAllState() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * @param {RunAllState} state State
+ * @return {string|null} Next renderer to run, null once all are done
+ */
+export function getNextRenderer(state) {
+  return state.renderers[state.entries.length] ?? null;
+}
+
+/**
+ * Adds the results of a run to the state.
+ * @param {RunAllState} state State
+ * @param {string} renderer Renderer
+ * @param {import('./results.js').BenchResults|null} results Results
+ */
+export function recordRunAllEntry(state, renderer, results) {
+  state.entries.push({
+    renderer,
+    // the per-frame timings would quickly fill the storage and are not needed for the summary
+    results: results && {
+      ...results,
+      postrenderTimestamps: [],
+      frameDurations: [],
+    },
+  });
+  setRunAllState(state);
+}
+
+/**
+ * @param {import('./metrics.js').Metric} metric Metric
+ * @param {Array<RunAllEntry>} entries Runs
+ * @return {string|null} Renderer with the best value, null if none has a value or if tied
+ */
+function getWinner(metric, entries) {
+  /** @type {Array<{renderer: string, value: number}>} */
+  const values = [];
+  for (const {renderer, results} of entries) {
+    const value = results ? metric.read(results) : null;
+    if (value !== null && Number.isFinite(value)) {
+      values.push({renderer, value});
+    }
+  }
+  if (!values.length) {
+    return null;
+  }
+  const sign = metric.higherIsBetter ? -1 : 1;
+  values.sort((a, b) => sign * (a.value - b.value));
+  if (values.length > 1 && values[0].value === values[1].value) {
+    return null;
+  }
+  return values[0].renderer;
+}
+
+/** @type {HTMLDivElement|null} */
+let panelElement = null;
+
+/**
+ * @return {HTMLDivElement} Panel showing the runs
+ */
+function ensurePanelElement() {
+  if (panelElement) {
+    return panelElement;
+  }
+  const el = document.createElement('div');
+  el.id = 'run-all-panel';
+  el.style.cssText = `
+		position: fixed;
+		top: 50%;
+		left: 50%;
+		transform: translate(-50%, -50%);
+		z-index: 5;
+		max-height: 90vh;
+		overflow: auto;
+		padding: 10px 12px;
+		border-radius: 6px;
+		background: rgba(255, 255, 255, 0.97);
+		box-shadow: 0 1px 6px rgba(0, 0, 0, 0.35);
+		font: 12px/1.35 sans-serif;
+		`;
+  document.body.appendChild(el);
+  panelElement = el;
+  return el;
+}
+
+/**
+ * @param {string} text Text
+ * @param {function(): void} onClick Called when clicked
+ * @return {HTMLButtonElement} Button
+ */
+function createButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Shows which renderer is running; the runs can be cancelled from there.
+ * @param {RunAllState} state State
+ * @param {string} renderer Renderer being run
+ * @param {function(): void} onCancel Called when the runs are cancelled
+ */
+export function renderRunAllProgress(state, renderer, onCancel) {
+  const el = ensurePanelElement();
+  const status = document.createElement('div');
+  status.textContent = `Running all renderers: ${renderer} (${state.entries.length + 1}/${state.renderers.length})…`;
+  const cancel = createButton('Cancel', onCancel);
+  cancel.style.marginTop = '6px';
+  el.replaceChildren(status, cancel);
+  el.hidden = false;
+}
+
+/**
+ * Shows the results of all the renderers side by side, with the best renderer for each metric.
+ * @param {RunAllState} state State
+ */
+export function renderRunAllSummary(state) {
+  const el = ensurePanelElement();
+  const {entries} = state;
+
+  const title = document.createElement('strong');
+  title.textContent = `All renderers: ${state.caseName}`;
+
+  const table = document.createElement('table');
+  table.style.cssText = `border-collapse: collapse; margin: 6px 0;`;
+  const headerRow = table.createTHead().insertRow();
+  for (const text of [
+    'Metric',
+    ...entries.map(({renderer}) => renderer),
+    'Winner',
+  ]) {
+    const th = document.createElement('th');
+    th.textContent = text;
+    th.style.cssText = `padding: 2px 8px; text-align: left;`;
+    headerRow.append(th);
+  }
+
+  const body = table.createTBody();
+  /** @type {Object<string, number>} */
+  const wins = {};
+  for (const metric of METRICS) {
+    const winner = getWinner(metric, entries);
+    if (winner) {
+      wins[winner] = (wins[winner] ?? 0) + 1;
+    }
+    const row = body.insertRow();
+    row.insertCell().textContent = metric.label;
+    for (const {renderer, results} of entries) {
+      const cell = row.insertCell();
+      cell.textContent = results ? formatMetric(metric.read(results)) : 'n/a';
+      if (renderer === winner) {
+        cell.style.fontWeight = 'bold';
+      }
+    }
+    row.insertCell().textContent = winner ?? '–';
+    for (const cell of Array.from(row.cells)) {
+      cell.style.padding = '2px 8px';
+    }
+  }
+
+  const summary = document.createElement('div');
+  const ranking = Object.entries(wins).sort((a, b) => b[1] - a[1]);
+  summary.textContent = ranking.length
+    ? `Metrics won: ${ranking.map(([renderer, count]) => `${renderer} ${count}/${METRICS.length}`).join(', ')}.`
+    : 'No renderer could be measured.';
+  const skipped = entries.filter(({results}) => !results);
+  if (skipped.length) {
+    summary.textContent += ` Not available: ${skipped.map(({renderer}) => renderer).join(', ')}.`;
+  }
+
+  const close = createButton('Close', () => {
+    el.hidden = true;
+  });
+  close.style.marginTop = '6px';
+  el.replaceChildren(title, table, summary, close);
+  el.hidden = false;
+}
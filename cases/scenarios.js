@@ -0,0 +1,179 @@
+/**
+ * Camera scenarios played during a benchmark run. Scenarios are plain data so that
+ * every run of the same scenario moves the camera in exactly the same way.
+ */
+import {easeIn, easeOut, inAndOut, linear} from 'ol/easing.js';
+
+/**
+ * @typedef {'linear'|'easeIn'|'easeOut'|'inAndOut'} EasingName
+ */
+
+/**
+ * A step without any of `center`, `zoom` or `rotation` keeps the camera still for `duration`.
+ * @typedef {Object} ScenarioStep
+ * @property {Array<number>} [center] Target center (lon/lat)
+ * @property {number} [zoom] Target zoom
+ * @property {number} [rotation] Target rotation in radians; the view always takes the shortest way
+ * @property {number} duration Duration in ms
+ * @property {EasingName} [easing] Easing, defaults to `inAndOut`
+ */
+
+/**
+ * @typedef {Object} ScenarioView
+ * @property {Array<number>} center Center (lon/lat)
+ * @property {number} zoom Zoom
+ * @property {number} rotation Rotation in radians
+ */
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} label Label shown in the GUI
+ * @property {ScenarioView} view View state applied (and fully rendered) before the measurement starts
+ * @property {Array<ScenarioStep>} steps Camera motion
+ */
+
+export const DEFAULT_SCENARIO = 'default';
+
+/**
+ * @type {Object<string, Scenario>}
+ */
+export const SCENARIOS = {
+  'default': {
+    label: 'Rotate, zoom and pan',
+    view: {center: [0, 0], zoom: 4, rotation: 0},
+    steps: [
+      {rotation: Math.PI / 2, duration: 2000},
+      {rotation: -Math.PI / 2, duration: 2000},
+      {zoom: 5, duration: 2000},
+      {zoom: 10, duration: 2000},
+      {zoom: 4, duration: 2000},
+      {center: [40, 0], duration: 2000},
+      {center: [0, 0], duration: 2000},
+      {rotation: Math.PI / 2, duration: 1000},
+      {rotation: -Math.PI / 2, duration: 1000},
+    ],
+  },
+  'zoom-in-out': {
+    label: 'Zoom in and out',
+    view: {center: [0, 0], zoom: 2, rotation: 0},
+    steps: [
+      {zoom: 12, duration: 5000},
+      {zoom: 2, duration: 5000},
+    ],
+  },
+  'pan-across-antimeridian': {
+    label: 'Pan across the antimeridian',
+    view: {center: [150, 0], zoom: 5, rotation: 0},
+    steps: [
+      {center: [210, 0], duration: 5000, easing: 'linear'},
+      {center: [150, 0], duration: 5000, easing: 'linear'},
+    ],
+  },
+  'rotate-continuous': {
+    label: 'Continuous rotation',
+    view: {center: [0, 0], zoom: 4, rotation: 0},
+    steps: [
+      {rotation: Math.PI / 2, duration: 2000, easing: 'linear'},
+      {rotation: Math.PI, duration: 2000, easing: 'linear'},
+      {rotation: (3 * Math.PI) / 2, duration: 2000, easing: 'linear'},
+      {rotation: 0, duration: 2000, easing: 'linear'},
+      {rotation: Math.PI / 2, duration: 2000, easing: 'linear'},
+      {rotation: Math.PI, duration: 2000, easing: 'linear'},
+      {rotation: (3 * Math.PI) / 2, duration: 2000, easing: 'linear'},
+      {rotation: 0, duration: 2000, easing: 'linear'},
+    ],
+  },
+  'fly-to-dense-area': {
+    label: 'Fly to a dense area',
+    view: {center: [-100, -40], zoom: 3, rotation: 0},
+    steps: [
+      {zoom: 2, duration: 1500, easing: 'easeOut'},
+      {center: [10, 45], duration: 3000},
+      {zoom: 9, duration: 3000, easing: 'easeIn'},
+      {duration: 2000},
+    ],
+  },
+  'static': {
+    label: 'Static view',
+    view: {center: [0, 0], zoom: 4, rotation: 0},
+    steps: [{duration: 10000}],
+  },
+};
+
+/**
+ * @type {Object<EasingName, function(number): number>}
+ */
+const EASINGS = {
+  linear,
+  easeIn,
+  easeOut,
+  inAndOut,
+};
+
+/**
+ * @param {string} name Scenario name
+ * @return {Scenario} Scenario; the default one if the name is unknown
+ */
+export function getScenario(name) {
+  return SCENARIOS[name] ?? SCENARIOS[DEFAULT_SCENARIO];
+}
+
+/**
+ * @return {Object<string, string>} Label->name map, suitable for a select parameter
+ */
+export function getScenarioOptions() {
+  /** @type {Object<string, string>} */
+  const options = {};
+  for (const name in SCENARIOS) {
+    options[SCENARIOS[name].label] = name;
+  }
+  return options;
+}
+
+/**
+ * Name of the performance marks placed at the start and end of the camera motion;
+ * a `benchmark: <scenario>` measure spanning both is also created.
+ */
+export const SCENARIO_START_MARK = 'benchmark-start';
+export const SCENARIO_END_MARK = 'benchmark-end';
+
+/**
+ * Applies the initial view of the scenario, waits for it to be fully rendered, then plays the
+ * camera motion. `onStart` is called right before the first step and `onEnd` right after the last
+ * one, so that a measurement window between both lines up with the motion.
+ * @param {import('ol/Map.js').default} map Map
+ * @param {string} name Scenario name
+ * @param {function(): void} [onStart] Called when the camera starts moving
+ * @param {function(boolean): void} [onEnd] Called when the camera motion is finished; the argument
+ * is false if the motion was interrupted
+ */
+export function runScenario(map, name, onStart, onEnd) {
+  const scenario = getScenario(name);
+  const view = map.getView();
+
+  view.cancelAnimations();
+  view.setCenter(scenario.view.center);
+  view.setZoom(scenario.view.zoom);
+  view.setRotation(scenario.view.rotation);
+
+  map.once('rendercomplete', () => {
+    performance.mark(SCENARIO_START_MARK, {detail: name});
+    onStart?.();
+    view.animate(
+      ...scenario.steps.map((step) => ({
+        ...step,
+        easing: EASINGS[step.easing ?? 'inAndOut'],
+      })),
+      (/** @type {boolean} */ complete) => {
+        performance.mark(SCENARIO_END_MARK, {detail: name});
+        performance.measure(
+          `benchmark: ${name}`,
+          SCENARIO_START_MARK,
+          SCENARIO_END_MARK,
+        );
+        onEnd?.(complete);
+      },
+    );
+  });
+  map.render();
+}
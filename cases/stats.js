@@ -0,0 +1,105 @@
+/**
+ * Statistics on frame durations. This module has no dependency on the DOM or OpenLayers so that
+ * it can also be used by the Node tooling.
+ */
+
+/**
+ * Frame budget at 60 FPS.
+ */
+export const FRAME_BUDGET_60_FPS_MS = 1000 / 60;
+
+/**
+ * Frame budget at 30 FPS.
+ */
+export const FRAME_BUDGET_30_FPS_MS = 1000 / 30;
+
+/**
+ * Frames longer than `Q3 + OUTLIER_IQR_FACTOR * IQR` are considered outliers.
+ */
+export const OUTLIER_IQR_FACTOR = 3;
+
+/**
+ * @typedef {Object} FrameStats
+ * @property {number} count Number of frames taken into account
+ * @property {number} mean Mean frame time (ms)
+ * @property {number} p50 Median frame time (ms)
+ * @property {number} p90 90th percentile (ms)
+ * @property {number} p95 95th percentile (ms)
+ * @property {number} p99 99th percentile (ms)
+ * @property {number} max Longest frame (ms)
+ * @property {number} stdDev Standard deviation (ms)
+ * @property {number} over16ms Number of frames exceeding the 60 FPS budget (16.7ms)
+ * @property {number} over33ms Number of frames exceeding the 30 FPS budget (33.3ms)
+ * @property {number} outliers Number of frames left out as outliers (0 when outliers are kept)
+ */
+
+/**
+ * @param {Array<number>} sorted Values sorted in ascending order
+ * @param {number} p Percentile, between 0 and 100
+ * @return {number} Percentile value (linear interpolation between the closest ranks)
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) {
+    return NaN;
+  }
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * @param {Array<number>} durations Frame durations (ms)
+ * @param {boolean} [removeOutliers] Leave out frames far above the rest (see {@link OUTLIER_IQR_FACTOR}),
+ * e.g. a single frame blocked by garbage collection
+ * @return {FrameStats} Statistics
+ */
+export function computeFrameStats(durations, removeOutliers = false) {
+  let sorted = durations.slice().sort((a, b) => a - b);
+  let outliers = 0;
+  if (removeOutliers && sorted.length >= 4) {
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    const limit = q3 + OUTLIER_IQR_FACTOR * (q3 - q1);
+    const kept = sorted.filter((value) => value <= limit);
+    outliers = sorted.length - kept.length;
+    sorted = kept;
+  }
+
+  const count = sorted.length;
+  const mean = count
+    ? sorted.reduce((sum, value) => sum + value, 0) / count
+    : NaN;
+  const variance = count
+    ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count
+    : NaN;
+
+  return {
+    count,
+    mean,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: count ? sorted[count - 1] : NaN,
+    stdDev: Math.sqrt(variance),
+    over16ms: sorted.filter((value) => value > FRAME_BUDGET_60_FPS_MS).length,
+    over33ms: sorted.filter((value) => value > FRAME_BUDGET_30_FPS_MS).length,
+    outliers,
+  };
+}
+
+/**
+ * @param {FrameStats} stats Statistics
+ * @return {string} Multi-line summary
+ */
+export function formatFrameStats(stats) {
+  if (!stats.count) {
+    return 'no frames';
+  }
+  return [
+    `p50 ${stats.p50.toFixed(1)} | p90 ${stats.p90.toFixed(1)} | p95 ${stats.p95.toFixed(1)} | p99 ${stats.p99.toFixed(1)} ms`,
+    `max ${stats.max.toFixed(1)} | mean ${stats.mean.toFixed(1)} ± ${stats.stdDev.toFixed(1)} ms`,
+    `>16.7ms: ${stats.over16ms} | >33.3ms: ${stats.over33ms} / ${stats.count} frames`,
+  ].join('\n');
+}
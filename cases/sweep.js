@@ -0,0 +1,185 @@
+/**
+ * Sweep mode: runs the scenario for each value of a numeric parameter and each selected renderer, and
+ * plots a metric against the parameter (e.g. to find the feature count where WebGL overtakes Canvas).
+ * The runs themselves are driven by `common.js`; this module holds the steps and the result panel.
+ */
+import {SERIES_COLORS, createLineChart} from './chart.js';
+import {downloadFile} from './export.js';
+import {formatMetric} from './metrics.js';
+
+/**
+ * Maximum number of steps of a sweep, to avoid starting a run that would never end by mistake.
+ */
+export const MAX_SWEEP_STEPS = 50;
+
+/**
+ * @typedef {Object} SweepPoint
+ * @property {string} renderer Renderer
+ * @property {number} value Value of the parameter
+ * @property {import('./results.js').BenchResults} results Results of the run
+ */
+
+/**
+ * @param {number} from First value
+ * @param {number} to Last value (included if reached by the steps)
+ * @param {number} step Step, positive
+ * @return {Array<number>} Values of the parameter
+ */
+export function getSweepValues(from, to, step) {
+  if (!(step > 0)) {
+    throw new Error('The step must be positive');
+  }
+  if (to < from) {
+    throw new Error('The last value must not be smaller than the first one');
+  }
+  const count = Math.floor((to - from) / step + 1e-9) + 1;
+  if (count > MAX_SWEEP_STEPS) {
+    throw new Error(
+      `${count} steps, at most ${MAX_SWEEP_STEPS} are allowed: increase the step`,
+    );
+  }
+  // computed from the index to avoid accumulating rounding errors
+  return Array.from({length: count}, (_, i) =>
+    Number((from + i * step).toPrecision(12)),
+  );
+}
+
+/** @type {HTMLDivElement|null} */
+let panelElement = null;
+
+/**
+ * @return {HTMLDivElement} Panel showing the sweep
+ */
+function ensurePanelElement() {
+  if (panelElement) {
+    return panelElement;
+  }
+  const el = document.createElement('div');
+  el.id = 'sweep-panel';
+  el.style.cssText = `
+		position: fixed;
+		bottom: 10px;
+		left: 10px;
+		z-index: 4;
+		padding: 8px 10px;
+		border-radius: 6px;
+		background: rgba(255, 255, 255, 0.95);
+		box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3);
+		font: 12px/1.35 sans-serif;
+		`;
+  document.body.appendChild(el);
+  panelElement = el;
+  return el;
+}
+
+/**
+ * @param {SweepPoint} point Point
+ * @param {import('./metrics.js').Metric} metric Metric
+ * @param {string} parameter Id of the parameter
+ * @return {string} Tooltip
+ */
+function getPointTitle(point, metric, parameter) {
+  return `${point.renderer}, ${parameter}=${point.value}\n${metric.label}: ${formatMetric(metric.read(point.results))}`;
+}
+
+/**
+ * @param {Array<SweepPoint>} points Points
+ * @param {string} parameter Id of the parameter
+ * @return {string} CSV with one row per run
+ */
+function toCsv(points, parameter) {
+  const lines = [
+    `renderer,${parameter},fps,mean,p50,p95,p99,max,over16ms,over33ms,frames`,
+  ];
+  for (const {renderer, value, results} of points) {
+    const stats = results.frameStats;
+    lines.push(
+      [
+        renderer,
+        value,
+        results.fps,
+        stats?.mean,
+        stats?.p50,
+        stats?.p95,
+        stats?.p99,
+        stats?.max,
+        stats?.over16ms,
+        stats?.over33ms,
+        stats?.count,
+      ]
+        .map((cell) =>
+          typeof cell === 'number' ? cell.toFixed(3) : (cell ?? ''),
+        )
+        .join(','),
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Shows the progress and the chart of a sweep; called again after each step.
+ * @param {Object} state State of the sweep
+ * @param {string} state.parameter Id of the swept parameter
+ * @param {string} state.parameterLabel Label of the swept parameter
+ * @param {import('./metrics.js').Metric} state.metric Plotted metric
+ * @param {Array<string>} state.renderers Renderers, in the order they are run
+ * @param {Array<SweepPoint>} state.points Points measured so far
+ * @param {string} state.status Status line
+ */
+export function renderSweep(state) {
+  const el = ensurePanelElement();
+
+  const header = document.createElement('div');
+  header.style.cssText = `display: flex; gap: 10px; align-items: center;`;
+  const title = document.createElement('strong');
+  title.textContent = `${state.metric.label} vs. ${state.parameterLabel}`;
+  const exportButton = document.createElement('button');
+  exportButton.type = 'button';
+  exportButton.textContent = 'CSV';
+  exportButton.title = 'Download the measurements';
+  exportButton.style.marginLeft = 'auto';
+  exportButton.disabled = !state.points.length;
+  exportButton.addEventListener('click', () =>
+    downloadFile(
+      `sweep-${state.parameter}.csv`,
+      toCsv(state.points, state.parameter),
+      'text/csv',
+    ),
+  );
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.textContent = '×';
+  close.addEventListener('click', () => {
+    el.hidden = true;
+  });
+  header.append(title, exportButton, close);
+
+  const chart = createLineChart({
+    width: 360,
+    height: 180,
+    series: state.renderers.map((renderer, index) => ({
+      color: SERIES_COLORS[index % SERIES_COLORS.length],
+      points: state.points
+        .filter((point) => point.renderer === renderer)
+        .map((point) => ({
+          x: point.value,
+          y: state.metric.read(point.results) ?? NaN,
+          title: getPointTitle(point, state.metric, state.parameter),
+        })),
+    })),
+  });
+
+  const legend = document.createElement('div');
+  state.renderers.forEach((renderer, index) => {
+    const item = document.createElement('span');
+    item.style.cssText = `margin-right: 10px; color: ${SERIES_COLORS[index % SERIES_COLORS.length]};`;
+    item.textContent = `● ${renderer}`;
+    legend.append(item);
+  });
+
+  const status = document.createElement('div');
+  status.textContent = state.status;
+
+  el.replaceChildren(header, chart, legend, status);
+  el.hidden = false;
+}
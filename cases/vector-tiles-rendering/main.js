@@ -1,6 +1,7 @@
 import GeoJSON from 'ol/format/GeoJSON.js';
+import MVT from 'ol/format/MVT.js';
 import VectorTileLayer from 'ol/layer/VectorTile.js';
-import {transformExtent} from 'ol/proj.js';
+import {fromLonLat, transformExtent} from 'ol/proj.js';
 import VectorTileSource from 'ol/source/VectorTile.js';
 import {compareVersions} from 'ol/string.js';
 import {
@@ -12,7 +13,18 @@ import {
   olVersion,
   regenerateLayer,
   registerGuiParameter,
+  registerGuiSelectParameter,
 } from '../common.js';
+import {MVT_EXTENT, encodeTile} from '../mvt.js';
+import {createRandom, deriveSeed} from '../random.js';
+
+/**
+ * Formats the generated tiles are read from, by label.
+ */
+const TILE_FORMATS = {
+  'GeoJSON': 'geojson',
+  'MVT (protobuf)': 'mvt',
+};
 
 const source = new VectorTileSource({
   url: '{z}/{x}/{y}',
@@ -23,12 +35,16 @@ const source = new VectorTileSource({
 
 const format = new GeoJSON({featureProjection: 'EPSG:3857'});
 
+// features are read as render features, like most applications loading vector tiles do
+const mvtFormat = new MVT();
+
 const defaultStylesCount = 10;
 
 /**
  * @type {function(): Array<import('ol/style/flat.js').Rule>|import('ol/style/flat.js').FlatStyle}
  */
 function generateStyle() {
+  const random = createRandom();
   const totalStylesCount =
     /** @type {number} */ (getGuiParameterValue('styleCount')) ??
     defaultStylesCount;
@@ -41,7 +57,7 @@ function generateStyle() {
       ...new Array(totalStylesCount)
         .fill(0)
         .map((_, i) => i)
-        .map((i) => [i, getRandomColor()])
+        .map((i) => [i, getRandomColor(random)])
         .flat(),
       '#333',
     ];
@@ -62,7 +78,7 @@ function generateStyle() {
     };
   }
   return new Array(totalStylesCount).fill(0).map((_, i) => {
-    const color = getRandomColor();
+    const color = getRandomColor(random);
     return {
       style: {
         'fill-color': color,
@@ -91,6 +107,7 @@ function generateStyle() {
  * @param {number} numVertices Amount of vertices in polygons
  * @param {Array<number>} propValues Property values to choose from
  * @param {Array<number>} bbox Bounding box
+ * @param {import('../random.js').RandomGenerator} random Random number generator
  * @return {import('geojson').FeatureCollection} Feature collection
  */
 function makeData(
@@ -100,6 +117,7 @@ function makeData(
   numVertices,
   propValues,
   bbox,
+  random,
 ) {
   /**
    * @type {Array<import('geojson').Feature>}
@@ -117,7 +135,7 @@ function makeData(
   // Generate polygons on the left bottom corner
   for (let lon = bbox[0] + gridSpacing; lon < centerLon; lon += gridSpacing) {
     for (let lat = bbox[1] + gridSpacing; lat < centerLat; lat += gridSpacing) {
-      const buffer = (0.3 + Math.random() * 0.2) * gridSpacing;
+      const buffer = (0.3 + random() * 0.2) * gridSpacing;
 
       const angleStep = (2 * Math.PI) / numVertices;
 
@@ -133,7 +151,7 @@ function makeData(
       features.push({
         type: 'Feature',
         properties: {
-          propValue: propValues[Math.floor(Math.random() * propValues.length)],
+          propValue: propValues[Math.floor(random() * propValues.length)],
         },
         geometry: {
           type: 'Polygon',
@@ -147,7 +165,7 @@ function makeData(
   features.push({
     type: 'Feature',
     properties: {
-      propValue: propValues[Math.floor(Math.random() * propValues.length)],
+      propValue: propValues[Math.floor(random() * propValues.length)],
     },
     geometry: {
       type: 'LineString',
@@ -169,7 +187,7 @@ function makeData(
       features.push({
         type: 'Feature',
         properties: {
-          propValue: propValues[Math.floor(Math.random() * propValues.length)],
+          propValue: propValues[Math.floor(random() * propValues.length)],
         },
         geometry: {
           type: 'Point',
@@ -211,7 +229,7 @@ function makeData(
     features.push({
       type: 'Feature',
       properties: {
-        propValue: propValues[Math.floor(Math.random() * propValues.length)],
+        propValue: propValues[Math.floor(random() * propValues.length)],
       },
       geometry: {
         type: 'LineString',
@@ -237,10 +255,10 @@ function tileLoadFunction(tile) {
   const countPolygons = Math.floor(totalFeatureCount / 3);
   const countLines = totalFeatureCount - countPoints - countPolygons;
   const tileGrid = source.getTileGrid();
-  let extent = tileGrid
+  const tileExtent = tileGrid
     ? tileGrid.getTileCoordExtent(tile.tileCoord)
     : [0, 0, 0, 0];
-  extent = transformExtent(extent, 'EPSG:3857', 'EPSG:4326');
+  const extent = transformExtent(tileExtent, 'EPSG:3857', 'EPSG:4326');
   const numVertices = 5;
   const totalStylesCount = /** @type {number} */ (
     getGuiParameterValue('styleCount')
@@ -253,9 +271,45 @@ function tileLoadFunction(tile) {
     numVertices,
     propValues,
     extent,
+    // tiles load in any order, so every tile gets its own sequence
+    createRandom(deriveSeed(...tile.tileCoord)),
+  );
+  if (getGuiParameterValue('format') !== 'mvt') {
+    tile.setFeatures(format.readFeatures(data));
+    return;
+  }
+
+  // encoding is part of the generation; only the parsing is what applications go through
+  const [minX, minY, maxX, maxY] = tileExtent;
+  const bytes = encodeTile(data.features, 'features', (position) => {
+    const [x, y] = fromLonLat(position);
+    return [
+      Math.round(((x - minX) / (maxX - minX)) * MVT_EXTENT),
+      Math.round(((maxY - y) / (maxY - minY)) * MVT_EXTENT),
+    ];
+  });
+  tile.setFeatures(
+    mvtFormat.readFeatures(bytes, {
+      extent: tileExtent,
+      featureProjection: 'EPSG:3857',
+    }),
   );
-  const features = format.readFeatures(data);
-  tile.setFeatures(features);
+}
+
+/**
+ * Generates the tiles again.
+ * @param {*} value New value
+ * @param {boolean|null} initial Whether this is the initial call
+ */
+function onTileDataChange(value, initial) {
+  if (initial) {
+    return;
+  }
+  regenerateLayer();
+  source.refresh();
+  // workaround required for webgl renderer; see https://github.com/openlayers/openlayers/issues/15213
+  // @ts-ignore
+  source.setKey(Date.now().toString());
 }
 
 function main() {
@@ -278,38 +332,33 @@ function main() {
       );
     },
   );
-  initializeGui();
+  initializeGui({
+    // parsing shows up apart from rendering
+    trackedClasses: [
+      {klass: GeoJSON, name: 'GeoJSON'},
+      {klass: MVT, name: 'MVT'},
+    ],
+  });
   registerGuiParameter(
     'count',
     'Feature count',
     [500, 10000],
     500,
-    (value, initial) => {
-      if (initial) {
-        return;
-      }
-      regenerateLayer();
-      source.refresh();
-      // workaround required for webgl renderer; see https://github.com/openlayers/openlayers/issues/15213
-      // @ts-ignore
-      source.setKey(Date.now().toString());
-    },
+    onTileDataChange,
   );
   registerGuiParameter(
     'styleCount',
     'Style layers count',
     [1, 500],
     defaultStylesCount,
-    (value, initial) => {
-      if (initial) {
-        return;
-      }
-      regenerateLayer();
-      source.refresh();
-      // workaround required for webgl renderer; see https://github.com/openlayers/openlayers/issues/15213
-      // @ts-ignore
-      source.setKey(Date.now().toString());
-    },
+    onTileDataChange,
+  );
+  registerGuiSelectParameter(
+    'format',
+    'Tile format',
+    TILE_FORMATS,
+    'geojson',
+    onTileDataChange,
   );
 }
 
@@ -0,0 +1,339 @@
+/**
+ * Runs one case against two OpenLayers versions, one after the other in an isolated frame,
+ * and shows the differences between both runs.
+ */
+import {METRICS, formatMetric} from '../../cases/metrics.js';
+
+/**
+ * @typedef {import('../../cases/results.js').BenchResults} BenchResults
+ */
+
+// @ts-ignore
+// eslint-disable-next-line no-undef
+const OL_VERSIONS = /** @type {Array<string>} */ (__OL_VERSIONS); // defined at build time by Vite
+// @ts-ignore
+// eslint-disable-next-line no-undef
+const DEFAULT_OL_VERSION = /** @type {string} */ (__DEFAULT_OL_VERSION); // defined at build time by Vite
+// @ts-ignore
+// eslint-disable-next-line no-undef
+const CASES = /** @type {Array<string>} */ (__CASES); // defined at build time by Vite
+
+const RUN_TIMEOUT_MS = 180000;
+
+const form = /** @type {HTMLFormElement} */ (
+  document.getElementById('compare-form')
+);
+const statusEl = /** @type {HTMLElement} */ (document.getElementById('status'));
+const reportEl = /** @type {HTMLElement} */ (document.getElementById('report'));
+const frameContainer = /** @type {HTMLElement} */ (
+  document.getElementById('frame-container')
+);
+
+/**
+ * @param {HTMLSelectElement} select Select
+ * @param {Array<string>} values Values
+ * @param {string} selected Selected value
+ */
+function fillSelect(select, values, selected) {
+  for (const value of values) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    option.selected = value === selected;
+    select.append(option);
+  }
+}
+
+/**
+ * @param {string} caseName Case name
+ * @param {string} version OpenLayers version
+ * @param {string} renderer Renderer
+ * @param {URLSearchParams} params Other parameters
+ * @return {string} Url of the case
+ */
+function getCaseUrl(caseName, version, renderer, params) {
+  const url = new URL(`../../cases/${caseName}/`, window.location.href);
+  for (const [key, value] of params) {
+    url.searchParams.set(key, value);
+  }
+  // the default version is served locally; setting it explicitly would load it from the CDN
+  if (version !== DEFAULT_OL_VERSION) {
+    url.searchParams.set('olVersion', version);
+  }
+  url.searchParams.set('renderer', renderer);
+  url.searchParams.set('performance', 'yes');
+  url.searchParams.set('autorun', 'yes');
+  return url.href;
+}
+
+/**
+ * Loads the case in a new frame and waits for it to report its results; the frame is removed afterwards.
+ * @param {string} url Url of the case
+ * @return {Promise<BenchResults>} Results
+ */
+function runInFrame(url) {
+  return new Promise((resolve, reject) => {
+    const iframe = document.createElement('iframe');
+    const done = new AbortController();
+    const timeout = setTimeout(() => {
+      done.abort();
+      reject(new Error(`No results received after ${RUN_TIMEOUT_MS}ms`));
+    }, RUN_TIMEOUT_MS);
+    done.signal.addEventListener('abort', () => {
+      clearTimeout(timeout);
+      iframe.remove();
+    });
+
+    window.addEventListener(
+      'message',
+      (event) => {
+        if (
+          event.source !== iframe.contentWindow ||
+          event.origin !== window.location.origin ||
+          event.data?.type !== 'benchmarkcomplete'
+        ) {
+          return;
+        }
+        done.abort();
+        resolve(event.data.results);
+      },
+      {signal: done.signal},
+    );
+
+    iframe.src = url;
+    frameContainer.append(iframe);
+  });
+}
+
+/**
+ * A run that fell back to another renderer (e.g. WebGPU missing from an older version) measured that
+ * renderer, so its differences with the other run would not come from the version alone.
+ * @param {BenchResults} results Results
+ * @param {string} run Name of the run, e.g. `Version A (10.5.0)`
+ * @param {string} renderer Requested renderer
+ */
+function assertRenderer(results, run, renderer) {
+  if (results.renderer !== renderer) {
+    throw new Error(
+      `${run} used the ${results.renderer} renderer instead of ${renderer}, the versions cannot be compared`,
+    );
+  }
+}
+
+/**
+ * @param {number|null} a Value for version A
+ * @param {number|null} b Value for version B
+ * @param {boolean} higherIsBetter Whether an increase is an improvement
+ * @return {Array<HTMLTableCellElement>} Cells for A, B, delta and relative delta
+ */
+function createDeltaCells(a, b, higherIsBetter) {
+  const cells = [a, b].map((value) => {
+    const cell = document.createElement('td');
+    cell.textContent = formatMetric(value);
+    return cell;
+  });
+  const delta = document.createElement('td');
+  const relative = document.createElement('td');
+  if (a !== null && b !== null) {
+    const diff = b - a;
+    delta.textContent = `${diff > 0 ? '+' : ''}${formatMetric(diff)}`;
+    relative.textContent = a
+      ? `${diff > 0 ? '+' : ''}${((diff / a) * 100).toFixed(1)}%`
+      : '–';
+    if (diff !== 0) {
+      const improved = higherIsBetter ? diff > 0 : diff < 0;
+      const className = improved ? 'better' : 'worse';
+      delta.className = className;
+      relative.className = className;
+    }
+  } else {
+    delta.textContent = '–';
+    relative.textContent = '–';
+  }
+  return [...cells, delta, relative];
+}
+
+/**
+ * @param {string} versionA Version A
+ * @param {string} versionB Version B
+ * @param {BenchResults} resultsA Results for version A
+ * @param {BenchResults} resultsB Results for version B
+ */
+function renderReport(versionA, versionB, resultsA, resultsB) {
+  const table = document.createElement('table');
+  table.className = 'table table-sm table-striped';
+  const head = table.createTHead().insertRow();
+  for (const title of [
+    'Metric',
+    `A (${versionA})`,
+    `B (${versionB})`,
+    'Δ',
+    'Δ %',
+  ]) {
+    const th = document.createElement('th');
+    th.textContent = title;
+    head.append(th);
+  }
+
+  const body = table.createTBody();
+  /**
+   * @param {string} label Label
+   * @param {number|null} a Value for version A
+   * @param {number|null} b Value for version B
+   * @param {boolean} higherIsBetter Whether an increase is an improvement
+   */
+  const addRow = (label, a, b, higherIsBetter) => {
+    const row = body.insertRow();
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = label;
+    row.append(th, ...createDeltaCells(a, b, higherIsBetter));
+  };
+
+  for (const metric of METRICS) {
+    addRow(
+      metric.label,
+      metric.read(resultsA),
+      metric.read(resultsB),
+      metric.higherIsBetter,
+    );
+  }
+
+  const classNames = new Set([
+    ...Object.keys(resultsA.classTimings),
+    ...Object.keys(resultsB.classTimings),
+  ]);
+  for (const className of [...classNames].sort()) {
+    addRow(
+      `${className} (ms/frame)`,
+      resultsA.classTimings[className]?.meanPerFrameMs ?? null,
+      resultsB.classTimings[className]?.meanPerFrameMs ?? null,
+      false,
+    );
+  }
+
+  reportEl.replaceChildren(table);
+}
+
+/**
+ * @param {SubmitEvent} event Submit event
+ */
+async function onSubmit(event) {
+  event.preventDefault();
+  const data = new FormData(form);
+  const caseName = String(data.get('case'));
+  const versionA = String(data.get('versionA'));
+  const versionB = String(data.get('versionB'));
+  const renderer = String(data.get('renderer'));
+  const params = new URLSearchParams(String(data.get('params') ?? ''));
+
+  // keep the configuration in the url so that comparisons can be shared
+  const pageUrl = new URL(window.location.href);
+  pageUrl.search = new URLSearchParams(
+    /** @type {Array<[string, string]>} */ ([
+      ['case', caseName],
+      ['versionA', versionA],
+      ['versionB', versionB],
+      ['renderer', renderer],
+      ['params', params.toString()],
+    ]),
+  ).toString();
+  history.replaceState(null, '', pageUrl.href);
+
+  const button = /** @type {HTMLButtonElement} */ (
+    document.getElementById('run')
+  );
+  button.disabled = true;
+  reportEl.replaceChildren();
+  try {
+    statusEl.textContent = `Running version A (${versionA})…`;
+    const resultsA = await runInFrame(
+      getCaseUrl(caseName, versionA, renderer, params),
+    );
+    assertRenderer(resultsA, `Version A (${versionA})`, renderer);
+    statusEl.textContent = `Running version B (${versionB})…`;
+    const resultsB = await runInFrame(
+      getCaseUrl(caseName, versionB, renderer, params),
+    );
+    assertRenderer(resultsB, `Version B (${versionB})`, renderer);
+    renderReport(versionA, versionB, resultsA, resultsB);
+    statusEl.textContent = 'Done.';
+  } catch (error) {
+    statusEl.textContent = `Failed: ${error instanceof Error ? error.message : error}`;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Disables the renderers the selected case does not support, as declared in the case manifest.
+ * @param {Array<{name: string, renderers: Array<string>}>} cases Cases from the manifest
+ */
+function updateRendererOptions(cases) {
+  const caseName = /** @type {HTMLSelectElement} */ (
+    form.elements.namedItem('case')
+  ).value;
+  const supported = cases.find(
+    (caseInfo) => caseInfo.name === caseName,
+  )?.renderers;
+  const select = /** @type {HTMLSelectElement} */ (
+    form.elements.namedItem('renderer')
+  );
+  for (const option of Array.from(select.options)) {
+    option.disabled = !!supported && !supported.includes(option.value);
+  }
+  if (select.selectedOptions[0]?.disabled) {
+    // not every case supports Canvas
+    const firstSupported = Array.from(select.options).find(
+      (option) => !option.disabled,
+    );
+    if (firstSupported) {
+      select.value = firstSupported.value;
+    }
+  }
+}
+
+function main() {
+  const initial = new URL(window.location.href).searchParams;
+  fillSelect(
+    /** @type {HTMLSelectElement} */ (form.elements.namedItem('case')),
+    CASES,
+    initial.get('case') ?? CASES[0],
+  );
+  fillSelect(
+    /** @type {HTMLSelectElement} */ (form.elements.namedItem('versionA')),
+    OL_VERSIONS,
+    initial.get('versionA') ?? DEFAULT_OL_VERSION,
+  );
+  fillSelect(
+    /** @type {HTMLSelectElement} */ (form.elements.namedItem('versionB')),
+    OL_VERSIONS,
+    initial.get('versionB') ??
+      OL_VERSIONS.find((version) => version !== DEFAULT_OL_VERSION) ??
+      DEFAULT_OL_VERSION,
+  );
+  const renderer = initial.get('renderer');
+  if (renderer) {
+    /** @type {HTMLSelectElement} */ (
+      form.elements.namedItem('renderer')
+    ).value = renderer;
+  }
+  /** @type {HTMLInputElement} */ (form.elements.namedItem('params')).value =
+    initial.get('params') ?? '';
+
+  form.addEventListener('submit', (event) => void onSubmit(event));
+
+  fetch('../../cases/manifest.json')
+    .then((response) => response.json())
+    .then((cases) => {
+      updateRendererOptions(cases);
+      /** @type {HTMLSelectElement} */ (
+        form.elements.namedItem('case')
+      ).addEventListener('change', () => updateRendererOptions(cases));
+    })
+    .catch((error) => {
+      statusEl.textContent = `Could not load the supported renderers of the cases: ${error instanceof Error ? error.message : error}`;
+    });
+}
+
+main();
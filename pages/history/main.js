@@ -0,0 +1,252 @@
+/**
+ * Shows the runs kept in the local history (see `cases/history.js`): one chart per metric over time,
+ * with one line per series, and the list of runs with their deviation from the pinned baseline.
+ */
+import {SERIES_COLORS, createLineChart} from '../../cases/chart.js';
+import {deleteRun, listRuns, toggleBaseline} from '../../cases/history.js';
+import {METRICS, formatMetric} from '../../cases/metrics.js';
+
+/**
+ * @typedef {import('../../cases/history.js').HistoryEntry} HistoryEntry
+ */
+
+/**
+ * @typedef {Object} Series
+ * @property {string} key Series key
+ * @property {string} label Label
+ * @property {string} color Color
+ * @property {Array<HistoryEntry>} entries Entries, oldest first
+ * @property {HistoryEntry|undefined} baseline Pinned baseline
+ */
+
+// @ts-ignore
+// eslint-disable-next-line no-undef
+const CASES = /** @type {Array<string>} */ (__CASES); // defined at build time by Vite
+
+/**
+ * Metric compared with the baseline in the list of runs.
+ */
+const BASELINE_METRIC = /** @type {import('../../cases/metrics.js').Metric} */ (
+  METRICS.find((metric) => metric.id === 'p95')
+);
+
+const form = /** @type {HTMLFormElement} */ (
+  document.getElementById('filters')
+);
+const legendEl = /** @type {HTMLElement} */ (document.getElementById('legend'));
+const chartsEl = /** @type {HTMLElement} */ (document.getElementById('charts'));
+const runsEl = /** @type {HTMLTableElement} */ (
+  document.getElementById('runs')
+);
+
+/**
+ * @param {Array<HistoryEntry>} entries Entries, oldest first
+ * @return {Array<Series>} Series
+ */
+function groupSeries(entries) {
+  /** @type {Object<string, Series>} */
+  const byKey = {};
+  for (const entry of entries) {
+    if (!(entry.seriesKey in byKey)) {
+      const index = Object.keys(byKey).length;
+      byKey[entry.seriesKey] = {
+        key: entry.seriesKey,
+        label: `${entry.caseName} · ${entry.renderer}${entry.paramsKey ? ` · ${entry.paramsKey}` : ''}`,
+        color: SERIES_COLORS[index % SERIES_COLORS.length],
+        entries: [],
+        baseline: undefined,
+      };
+    }
+    const series = byKey[entry.seriesKey];
+    series.entries.push(entry);
+    if (entry.baseline) {
+      series.baseline = entry;
+    }
+  }
+  return Object.values(byKey);
+}
+
+/**
+ * @param {import('../../cases/metrics.js').Metric} metric Metric
+ * @param {Array<Series>} seriesList Series
+ * @return {HTMLElement} Chart
+ */
+function createChart(metric, seriesList) {
+  const svg = createLineChart({
+    series: seriesList.map((series) => ({
+      color: series.color,
+      reference: series.baseline ? metric.read(series.baseline.results) : null,
+      points: series.entries.map((entry) => {
+        const value = metric.read(entry.results);
+        return {
+          x: entry.savedAt,
+          y: value ?? NaN,
+          title: `${new Date(entry.savedAt).toLocaleString()}\nOpenLayers ${entry.olVersion}\n${metric.label}: ${formatMetric(value)}`,
+          highlight: entry.baseline,
+        };
+      }),
+    })),
+    formatX: (time) => new Date(time).toLocaleDateString(),
+  });
+
+  const figure = document.createElement('figure');
+  const caption = document.createElement('figcaption');
+  caption.textContent = metric.label;
+  figure.append(caption, svg);
+  return figure;
+}
+
+/**
+ * @param {Array<Series>} seriesList Series
+ */
+function renderLegend(seriesList) {
+  legendEl.replaceChildren(
+    ...seriesList.map((series) => {
+      const item = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = 'swatch';
+      swatch.style.background = series.color;
+      item.append(swatch, series.label);
+      return item;
+    }),
+  );
+}
+
+/**
+ * @param {Array<Series>} seriesList Series
+ */
+function renderRuns(seriesList) {
+  const head = runsEl.createTHead();
+  head.replaceChildren();
+  const headRow = head.insertRow();
+  for (const title of [
+    'Date',
+    'Case',
+    'Renderer',
+    'OpenLayers',
+    'Parameters',
+    'FPS',
+    BASELINE_METRIC.label,
+    'Δ % vs. baseline',
+    '',
+  ]) {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.append(th);
+  }
+
+  const body = document.createElement('tbody');
+  const rows = seriesList
+    .flatMap((series) =>
+      series.entries.map((entry) => ({entry, baseline: series.baseline})),
+    )
+    .sort((a, b) => b.entry.savedAt - a.entry.savedAt);
+  for (const {entry, baseline} of rows) {
+    const row = body.insertRow();
+    const value = BASELINE_METRIC.read(entry.results);
+    const baselineValue = baseline
+      ? BASELINE_METRIC.read(baseline.results)
+      : null;
+    for (const text of [
+      new Date(entry.savedAt).toLocaleString(),
+      entry.caseName,
+      entry.renderer,
+      entry.olVersion,
+      entry.paramsKey,
+      formatMetric(entry.results.fps),
+      formatMetric(value),
+    ]) {
+      row.insertCell().textContent = text;
+    }
+    row.cells[4].className = 'params';
+
+    const delta = row.insertCell();
+    if (entry.baseline) {
+      delta.textContent = 'baseline';
+    } else if (value !== null && baselineValue) {
+      const relative = ((value - baselineValue) / baselineValue) * 100;
+      delta.textContent = `${relative > 0 ? '+' : ''}${relative.toFixed(1)}%`;
+      if (relative !== 0) {
+        const improved = BASELINE_METRIC.higherIsBetter
+          ? relative > 0
+          : relative < 0;
+        delta.className = improved ? 'better' : 'worse';
+      }
+    } else {
+      delta.textContent = '–';
+    }
+
+    const actions = row.insertCell();
+    const id = /** @type {number} */ (entry.id);
+    const pin = document.createElement('button');
+    pin.type = 'button';
+    pin.className = 'btn btn-sm btn-outline-secondary me-1';
+    pin.textContent = entry.baseline ? 'Unpin' : 'Pin as baseline';
+    pin.addEventListener('click', () => {
+      toggleBaseline(id).then(render);
+    });
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-sm btn-outline-danger';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+      deleteRun(id).then(render);
+    });
+    actions.append(pin, remove);
+  }
+  runsEl.tBodies[0]?.remove();
+  runsEl.append(body);
+}
+
+async function render() {
+  const data = new FormData(form);
+  const caseName = String(data.get('case') ?? '');
+  const renderer = String(data.get('renderer') ?? '');
+
+  // keep the filters in the url so that the view can be bookmarked
+  const pageUrl = new URL(window.location.href);
+  pageUrl.search = new URLSearchParams({case: caseName, renderer}).toString();
+  history.replaceState(null, '', pageUrl.href);
+
+  const entries = (await listRuns()).filter(
+    (entry) =>
+      (!caseName || entry.caseName === caseName) &&
+      (!renderer || entry.renderer === renderer),
+  );
+  if (!entries.length) {
+    legendEl.replaceChildren();
+    chartsEl.replaceChildren(
+      'No runs recorded yet for this selection: open a case and start a run.',
+    );
+    runsEl.replaceChildren();
+    return;
+  }
+
+  const seriesList = groupSeries(entries);
+  renderLegend(seriesList);
+  chartsEl.replaceChildren(
+    ...METRICS.map((metric) => createChart(metric, seriesList)),
+  );
+  renderRuns(seriesList);
+}
+
+function main() {
+  const initial = new URL(window.location.href).searchParams;
+  const caseSelect = /** @type {HTMLSelectElement} */ (
+    form.elements.namedItem('case')
+  );
+  for (const name of CASES) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    caseSelect.append(option);
+  }
+  caseSelect.value = initial.get('case') ?? '';
+  /** @type {HTMLSelectElement} */ (form.elements.namedItem('renderer')).value =
+    initial.get('renderer') ?? '';
+
+  form.addEventListener('change', () => void render());
+  void render();
+}
+
+main();
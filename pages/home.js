@@ -0,0 +1,136 @@
+/**
+ * Landing page: lists the cases from the manifest generated from their `case.json` files
+ * (see `tasks/cases.js`), with search and filters.
+ */
+
+/**
+ * @typedef {Object} CaseInfo
+ * @property {string} name Name of the case (directory under `cases/`)
+ * @property {string} title Title
+ * @property {string} description Short description
+ * @property {Array<string>} renderers Supported renderers
+ * @property {Array<string>} geometryTypes Rendered geometry types
+ * @property {Array<{id: string, label: string}>} parameters Parameters of the case
+ * @property {Array<string>} tags Tags
+ * @property {boolean} datasets Whether the case can render a user-provided dataset
+ */
+
+const RENDERER_LABELS = {canvas: 'Canvas', webgl: 'WebGL', webgpu: 'WebGPU'};
+
+const form = /** @type {HTMLFormElement} */ (
+  document.getElementById('case-filters')
+);
+const listEl = /** @type {HTMLElement} */ (
+  document.getElementById('case-list')
+);
+
+/**
+ * @param {string} text Text
+ * @param {string} className Class name
+ * @return {HTMLSpanElement} Badge
+ */
+function createBadge(text, className) {
+  const badge = document.createElement('span');
+  badge.className = `badge ${className}`;
+  badge.textContent = text;
+  return badge;
+}
+
+/**
+ * @param {CaseInfo} caseInfo Case
+ * @return {HTMLElement} Card
+ */
+function createCard(caseInfo) {
+  const col = document.createElement('div');
+  col.className = 'col-md-4 col-sm-6';
+
+  const link = `cases/${caseInfo.name}/`;
+  const a = document.createElement('a');
+  a.href = link;
+  a.className = 'cases bg-light border rounded';
+
+  const strong = document.createElement('strong');
+  strong.textContent = caseInfo.title;
+
+  const small = document.createElement('small');
+  small.textContent = `(${link})`;
+
+  const p = document.createElement('p');
+  p.className = 'description';
+  p.textContent = caseInfo.description;
+
+  const badges = document.createElement('div');
+  badges.append(
+    ...caseInfo.renderers.map((renderer) =>
+      createBadge(
+        RENDERER_LABELS[/** @type {keyof RENDERER_LABELS} */ (renderer)] ??
+          renderer,
+        'text-bg-primary',
+      ),
+    ),
+    ...caseInfo.tags.map((tag) => createBadge(tag, 'text-bg-secondary')),
+  );
+  if (caseInfo.datasets) {
+    badges.append(createBadge('custom datasets', 'text-bg-info'));
+  }
+
+  a.append(strong, document.createElement('br'), small, p, badges);
+  col.append(a);
+  return col;
+}
+
+/**
+ * @param {CaseInfo} caseInfo Case
+ * @param {string} search Search text, lower case
+ * @return {boolean} Whether the case matches the search
+ */
+function matchesSearch(caseInfo, search) {
+  return [
+    caseInfo.name,
+    caseInfo.title,
+    caseInfo.description,
+    ...caseInfo.tags,
+    ...caseInfo.parameters.map((parameter) => parameter.label),
+  ].some((text) => text.toLowerCase().includes(search));
+}
+
+/**
+ * @param {Array<CaseInfo>} cases Cases
+ */
+function render(cases) {
+  const data = new FormData(form);
+  const search = String(data.get('search') ?? '')
+    .trim()
+    .toLowerCase();
+  const renderer = String(data.get('renderer') ?? '');
+  const geometryType = String(data.get('geometryType') ?? '');
+
+  const matching = cases.filter(
+    (caseInfo) =>
+      (!search || matchesSearch(caseInfo, search)) &&
+      (!renderer || caseInfo.renderers.includes(renderer)) &&
+      (!geometryType || caseInfo.geometryTypes.includes(geometryType)),
+  );
+  if (!matching.length) {
+    const empty = document.createElement('p');
+    empty.textContent = 'No case matches these filters.';
+    listEl.replaceChildren(empty);
+    return;
+  }
+  listEl.replaceChildren(...matching.map(createCard));
+}
+
+async function main() {
+  const response = await fetch('cases/manifest.json');
+  if (!response.ok) {
+    throw new Error(`Could not load the list of cases: ${response.status}`);
+  }
+  const cases = /** @type {Array<CaseInfo>} */ (await response.json());
+  form.addEventListener('input', () => render(cases));
+  form.addEventListener('submit', (event) => event.preventDefault());
+  render(cases);
+}
+
+main().catch((error) => {
+  listEl.textContent = error instanceof Error ? error.message : String(error);
+});
@@ -0,0 +1,86 @@
+import {existsSync, readFileSync, readdirSync} from 'node:fs';
+import {dirname, join, resolve} from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const CASES_DIR = join(projectRoot, 'cases');
+
+/**
+ * Name of the file declaring the metadata of a case, next to its `index.html`.
+ */
+export const CASE_METADATA_FILENAME = 'case.json';
+
+/**
+ * Renderers a case can support.
+ */
+export const RENDERERS = ['canvas', 'webgl', 'webgpu'];
+
+/**
+ * @typedef {Object} CaseParameter
+ * @property {string} id Id of the parameter (as found in the url)
+ * @property {string} label Label
+ */
+
+/**
+ * @typedef {Object} CaseInfo
+ * @property {string} name Name of the case (directory under `cases/`)
+ * @property {string} title Title
+ * @property {string} description Short description
+ * @property {Array<string>} renderers Supported renderers
+ * @property {Array<string>} geometryTypes Rendered geometry types (e.g. `Point`)
+ * @property {Array<CaseParameter>} parameters Parameters of the case (in addition to the common ones)
+ * @property {Array<string>} tags Free-form tags, used for searching
+ * @property {boolean} datasets Whether the case can render a user-provided dataset instead of its generated
+ * data, see `registerDataset()` in `cases/common.js`
+ * @property {Object<string, Object<string, string|number>>} presets Named parameter sets, by name; values
+ * are given as they appear in the url (e.g. `"outline": "no"`)
+ */
+
+/**
+ * @param {string} name Name of the case
+ * @return {CaseInfo} Metadata
+ */
+function readCase(name) {
+  const file = join(CASES_DIR, name, CASE_METADATA_FILENAME);
+  if (!existsSync(file)) {
+    throw new Error(
+      `Case "${name}" has no ${CASE_METADATA_FILENAME}, add one next to its index.html`,
+    );
+  }
+  const metadata = JSON.parse(readFileSync(file, 'utf-8'));
+  if (typeof metadata.title !== 'string' || !metadata.title) {
+    throw new Error(`${file}: "title" is required`);
+  }
+  const renderers = metadata.renderers ?? RENDERERS;
+  const unknown = renderers.filter(
+    (/** @type {string} */ renderer) => !RENDERERS.includes(renderer),
+  );
+  if (!renderers.length || unknown.length) {
+    throw new Error(
+      `${file}: "renderers" must list some of ${RENDERERS.join(', ')}`,
+    );
+  }
+  return {
+    name,
+    title: metadata.title,
+    description: metadata.description ?? '',
+    renderers,
+    geometryTypes: metadata.geometryTypes ?? [],
+    parameters: metadata.parameters ?? [],
+    tags: metadata.tags ?? [],
+    datasets: metadata.datasets ?? false,
+    presets: metadata.presets ?? {},
+  };
+}
+
+/**
+ * Discovers the cases, i.e. the directories under `cases/` holding an `index.html`.
+ * @return {Array<CaseInfo>} Cases, sorted by name
+ */
+export function listCases() {
+  return readdirSync(CASES_DIR)
+    .filter((name) => existsSync(join(CASES_DIR, name, 'index.html')))
+    .sort()
+    .map(readCase);
+}
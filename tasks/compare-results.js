@@ -0,0 +1,430 @@
+/* eslint-disable no-console */
+import fs from 'node:fs/promises';
+import {parseArgs} from 'node:util';
+import {getParamsKey} from '../cases/history.js';
+import {METRICS, formatMetric} from '../cases/metrics.js';
+
+/**
+ * Maximum accepted deterioration (percent) per metric id, unless overridden with `--tolerance`.
+ */
+const DEFAULT_TOLERANCES = {mean: 10, p95: 10, p99: 20};
+
+const DEFAULT_TOLERANCES_TEXT = Object.entries(DEFAULT_TOLERANCES)
+  .map(([id, value]) => `${id}=${value}`)
+  .join(', ');
+
+const USAGE = `Usage: npm run compare-results -- <baseline.json> <candidate.json> [options]
+
+Compares two result files written by \`npm run bench\`, run by run (same case, renderer and parameters),
+and exits with a non-zero code if a metric of the candidate is worse than the baseline beyond its tolerance.
+
+Options:
+  --tolerance <metric=percent>   Maximum accepted deterioration of a metric, e.g. p95=10 (can be repeated;
+                                 overrides the defaults: ${DEFAULT_TOLERANCES_TEXT})
+  --only-tolerances              Only check the metrics given with --tolerance
+  --markdown <file>              Also write the report as Markdown to this file
+  --junit <file>                 Write a JUnit XML report to this file
+  --help                         Show this message
+
+Metrics: ${METRICS.map((metric) => metric.id).join(', ')}`;
+
+/**
+ * @typedef {import('../cases/metrics.js').Metric} Metric
+ */
+
+/**
+ * @typedef {Object} Run
+ * @property {string} case Case name
+ * @property {string} renderer Renderer used by the page (the requested one if the run failed)
+ * @property {string} [requestedRenderer] Renderer requested by the runner
+ * @property {Object<string, string>} params Parameters given to the runner
+ * @property {import('../cases/results.js').BenchResults} [result] Results
+ * @property {string} [error] Error message if the run failed
+ */
+
+/**
+ * @typedef {Object} ResultsFile
+ * @property {string} createdAt Date of the run
+ * @property {string} userAgent User agent of the browser
+ * @property {Array<Run>} runs Runs
+ */
+
+/**
+ * @typedef {'ok'|'regression'|'improvement'} CheckStatus
+ */
+
+/**
+ * @typedef {Object} MetricCheck
+ * @property {Metric} metric Metric
+ * @property {number|null} baseline Baseline value
+ * @property {number|null} candidate Candidate value
+ * @property {number|null} changePercent Relative change (positive when the value increased)
+ * @property {number} tolerance Tolerance (percent)
+ * @property {CheckStatus} status Status
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {string} case Case name
+ * @property {string} renderer Renderer requested by the runner
+ * @property {string} paramsKey Parameters as a query string
+ * @property {Array<MetricCheck>} checks Metric checks (empty if the comparison could not be made)
+ * @property {string} [failure] Reason why the comparison failed (e.g. the candidate run failed)
+ * @property {string} [skipped] Reason why the comparison was skipped (e.g. no baseline)
+ */
+
+/**
+ * @param {Array<string>} entries Entries in the form `metric=percent`
+ * @param {boolean} only Do not start from the default tolerances
+ * @return {Object<string, number>} Tolerances per metric id
+ */
+function parseTolerances(entries, only) {
+  /** @type {Object<string, number>} */
+  const tolerances = only ? {} : {...DEFAULT_TOLERANCES};
+  for (const entry of entries) {
+    const [id, value] = entry.split('=');
+    const tolerance = Number.parseFloat(value);
+    if (!METRICS.some((metric) => metric.id === id)) {
+      throw new Error(
+        `Unknown metric "${id}", available: ${METRICS.map((metric) => metric.id).join(', ')}`,
+      );
+    }
+    if (Number.isNaN(tolerance) || tolerance < 0) {
+      throw new Error(
+        `Invalid tolerance "${entry}", expected metric=percent (e.g. p95=10)`,
+      );
+    }
+    tolerances[id] = tolerance;
+  }
+  return tolerances;
+}
+
+/**
+ * @param {Run} run Run
+ * @return {string} Renderer requested by the runner (files written before it was recorded only have the
+ * renderer used by the page)
+ */
+function getRequestedRenderer(run) {
+  return run.requestedRenderer ?? run.renderer;
+}
+
+/**
+ * Runs are matched on the requested renderer, so that a run that fell back to another renderer is
+ * not mistaken for a run of that renderer.
+ * @param {Run} run Run
+ * @return {string} Key identifying comparable runs
+ */
+function getRunKey(run) {
+  return [run.case, getRequestedRenderer(run), getParamsKey(run.params)].join(
+    '|',
+  );
+}
+
+/**
+ * @param {string} file Path of the file
+ * @return {Promise<ResultsFile>} Contents
+ */
+async function readResults(file) {
+  const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+  if (!Array.isArray(data.runs)) {
+    throw new Error(`${file} is not a results file written by npm run bench`);
+  }
+  return data;
+}
+
+/**
+ * @param {Metric} metric Metric
+ * @param {number} tolerance Tolerance (percent)
+ * @param {import('../cases/results.js').BenchResults} baseline Baseline results
+ * @param {import('../cases/results.js').BenchResults} candidate Candidate results
+ * @return {MetricCheck} Check
+ */
+function checkMetric(metric, tolerance, baseline, candidate) {
+  const baselineValue = metric.read(baseline);
+  const candidateValue = metric.read(candidate);
+  /** @type {MetricCheck} */
+  const check = {
+    metric,
+    baseline: baselineValue,
+    candidate: candidateValue,
+    changePercent: null,
+    tolerance,
+    status: 'ok',
+  };
+  if (baselineValue === null || candidateValue === null) {
+    return check;
+  }
+  if (baselineValue === 0) {
+    // a relative change cannot be computed, any deterioration counts (e.g. frames over budget appearing)
+    const worse = metric.higherIsBetter
+      ? candidateValue < 0
+      : candidateValue > 0;
+    check.status = worse ? 'regression' : 'ok';
+    return check;
+  }
+  const change = ((candidateValue - baselineValue) / baselineValue) * 100;
+  const deterioration = metric.higherIsBetter ? -change : change;
+  check.changePercent = change;
+  if (deterioration > tolerance) {
+    check.status = 'regression';
+  } else if (-deterioration > tolerance) {
+    check.status = 'improvement';
+  }
+  return check;
+}
+
+/**
+ * @param {ResultsFile} baseline Baseline
+ * @param {ResultsFile} candidate Candidate
+ * @param {Object<string, number>} tolerances Tolerances per metric id
+ * @return {Array<Comparison>} Comparisons, one per run of the candidate or the baseline
+ */
+function compare(baseline, candidate, tolerances) {
+  const metrics = METRICS.filter((metric) => metric.id in tolerances);
+  /** @type {Object<string, Run>} */
+  const baselineRuns = {};
+  for (const run of baseline.runs) {
+    baselineRuns[getRunKey(run)] = run;
+  }
+
+  /** @type {Array<Comparison>} */
+  const comparisons = [];
+  const seen = new Set();
+  for (const run of candidate.runs) {
+    const key = getRunKey(run);
+    seen.add(key);
+    /** @type {Comparison} */
+    const comparison = {
+      case: run.case,
+      renderer: getRequestedRenderer(run),
+      paramsKey: getParamsKey(run.params),
+      checks: [],
+    };
+    comparisons.push(comparison);
+
+    const baselineRun = baselineRuns[key];
+    if (!run.result) {
+      comparison.failure = `Candidate run failed: ${run.error}`;
+    } else if (!baselineRun) {
+      comparison.skipped = 'No baseline for this run';
+    } else if (!baselineRun.result) {
+      comparison.skipped = `Baseline run failed: ${baselineRun.error}`;
+    } else if (baselineRun.renderer !== run.renderer) {
+      comparison.failure = `The runs used different renderers: ${baselineRun.renderer} for the baseline, ${run.renderer} for the candidate`;
+    } else {
+      const baselineResult = baselineRun.result;
+      const candidateResult = run.result;
+      comparison.checks = metrics.map((metric) =>
+        checkMetric(
+          metric,
+          tolerances[metric.id],
+          baselineResult,
+          candidateResult,
+        ),
+      );
+    }
+  }
+
+  for (const run of baseline.runs) {
+    if (seen.has(getRunKey(run))) {
+      continue;
+    }
+    /** @type {Comparison} */
+    const comparison = {
+      case: run.case,
+      renderer: getRequestedRenderer(run),
+      paramsKey: getParamsKey(run.params),
+      checks: [],
+    };
+    if (run.result) {
+      comparison.failure = 'Missing from the candidate results';
+    } else {
+      comparison.skipped = `Missing from the candidate results, and the baseline run failed: ${run.error}`;
+    }
+    comparisons.push(comparison);
+  }
+  return comparisons;
+}
+
+/**
+ * @param {Comparison} comparison Comparison
+ * @return {boolean} Whether the comparison blocks the candidate
+ */
+function isFailed(comparison) {
+  return (
+    !!comparison.failure ||
+    comparison.checks.some((check) => check.status === 'regression')
+  );
+}
+
+/**
+ * @param {number|null} change Relative change
+ * @return {string} Formatted change
+ */
+function formatChange(change) {
+  return change === null
+    ? '–'
+    : `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+/**
+ * @param {Comparison} comparison Comparison
+ * @return {string} Title of the comparison
+ */
+function getTitle(comparison) {
+  return `${comparison.case} (${comparison.renderer}${comparison.paramsKey ? `, ${comparison.paramsKey}` : ''})`;
+}
+
+/**
+ * @param {ResultsFile} baseline Baseline
+ * @param {ResultsFile} candidate Candidate
+ * @param {Array<Comparison>} comparisons Comparisons
+ * @return {string} Markdown report
+ */
+function toMarkdown(baseline, candidate, comparisons) {
+  const failed = comparisons.filter(isFailed).length;
+  const lines = [
+    '# Performance comparison',
+    '',
+    `Baseline: ${baseline.createdAt} (${baseline.userAgent})`,
+    `Candidate: ${candidate.createdAt} (${candidate.userAgent})`,
+    '',
+    failed
+      ? `**${failed} of ${comparisons.length} runs regressed or failed.**`
+      : `All ${comparisons.length} runs are within the tolerances.`,
+  ];
+  if (baseline.userAgent !== candidate.userAgent) {
+    lines.push(
+      '',
+      '> The results were produced by different browsers, differences might not come from OpenLayers.',
+    );
+  }
+
+  for (const comparison of comparisons) {
+    lines.push(
+      '',
+      `## ${isFailed(comparison) ? '❌' : '✅'} ${getTitle(comparison)}`,
+      '',
+    );
+    if (comparison.failure || comparison.skipped) {
+      lines.push(
+        /** @type {string} */ (comparison.failure ?? comparison.skipped),
+      );
+      continue;
+    }
+    lines.push(
+      '| Metric | Baseline | Candidate | Change | Tolerance | Status |',
+      '| --- | ---: | ---: | ---: | ---: | --- |',
+    );
+    for (const check of comparison.checks) {
+      lines.push(
+        `| ${check.metric.label} | ${formatMetric(check.baseline)} | ${formatMetric(check.candidate)} | ${formatChange(check.changePercent)} | ${check.tolerance}% | ${check.status === 'regression' ? '**regression**' : check.status} |`,
+      );
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {string} value Value
+ * @return {string} Value escaped for XML
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;');
+}
+
+/**
+ * One test suite per run, one test case per checked metric.
+ * @param {Array<Comparison>} comparisons Comparisons
+ * @return {string} JUnit XML report
+ */
+function toJUnit(comparisons) {
+  const suites = comparisons.map((comparison) => {
+    const name = escapeXml(getTitle(comparison));
+    if (comparison.failure || comparison.skipped) {
+      const message = escapeXml(
+        /** @type {string} */ (comparison.failure ?? comparison.skipped),
+      );
+      const body = comparison.failure
+        ? `<failure message="${message}"/>`
+        : `<skipped message="${message}"/>`;
+      return `  <testsuite name="${name}" tests="1" failures="${comparison.failure ? 1 : 0}" skipped="${comparison.skipped ? 1 : 0}">
+    <testcase classname="${name}" name="run">${body}</testcase>
+  </testsuite>`;
+    }
+    const cases = comparison.checks.map((check) => {
+      const label = escapeXml(check.metric.label);
+      if (check.status !== 'regression') {
+        return `    <testcase classname="${name}" name="${label}"/>`;
+      }
+      const message = escapeXml(
+        `${check.metric.label}: ${formatMetric(check.baseline)} → ${formatMetric(check.candidate)} (${formatChange(check.changePercent)}, tolerance ${check.tolerance}%)`,
+      );
+      return `    <testcase classname="${name}" name="${label}"><failure message="${message}"/></testcase>`;
+    });
+    const failures = comparison.checks.filter(
+      (check) => check.status === 'regression',
+    ).length;
+    return `  <testsuite name="${name}" tests="${cases.length}" failures="${failures}">
+${cases.join('\n')}
+  </testsuite>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="performance">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+async function main() {
+  const {values, positionals} = parseArgs({
+    allowPositionals: true,
+    options: {
+      'tolerance': {type: 'string', multiple: true, default: []},
+      'only-tolerances': {type: 'boolean', default: false},
+      'markdown': {type: 'string'},
+      'junit': {type: 'string'},
+      'help': {type: 'boolean', default: false},
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 2) {
+    throw new Error(`Expected a baseline and a candidate file\n\n${USAGE}`);
+  }
+
+  const tolerances = parseTolerances(
+    values.tolerance ?? [],
+    !!values['only-tolerances'],
+  );
+  const [baseline, candidate] = await Promise.all(
+    positionals.map((file) => readResults(file)),
+  );
+  const comparisons = compare(baseline, candidate, tolerances);
+
+  const markdown = toMarkdown(baseline, candidate, comparisons);
+  console.log(markdown);
+  if (values.markdown) {
+    await fs.writeFile(values.markdown, markdown);
+  }
+  if (values.junit) {
+    await fs.writeFile(values.junit, toJUnit(comparisons));
+  }
+
+  if (comparisons.some(isFailed)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+/* eslint-disable no-console */
+import {createHash} from 'node:crypto';
+import {createReadStream, existsSync} from 'node:fs';
+import fs from 'node:fs/promises';
+import {join} from 'node:path';
+import {Readable} from 'node:stream';
+import {pipeline} from 'node:stream/promises';
+import {parseArgs} from 'node:util';
+import {x as extract} from 'tar';
+import {LOCAL_OL_VERSIONS_DIR, SUPPORTED_OL_VERSIONS} from './ol-versions.js';
+
+const USAGE = `Usage: npm run fetch-ol-versions -- [versions...] [options]
+
+Downloads OpenLayers packages from the npm registry into ol-versions/ so that the "OpenLayers Version"
+selector works without network access. Without versions, all the supported ones are fetched.
+
+Options:
+  --tarball <file>   Add an already downloaded npm tarball (e.g. from \`npm pack ol@10.5.0\`); can be repeated
+  --registry <url>   npm registry to download from (default: $npm_config_registry or https://registry.npmjs.org)
+  --force            Fetch versions again even if they are already present
+  --help             Show this message`;
+
+/**
+ * Extracts a tarball stream into a temporary directory, then moves it to `ol-versions/<name>`.
+ * @param {NodeJS.ReadableStream} stream Tarball stream (gzipped)
+ * @param {function(Object): string} getName Returns the name of the version from the package.json
+ * @return {Promise<string>} Name of the version
+ */
+async function extractPackage(stream, getName) {
+  await fs.mkdir(LOCAL_OL_VERSIONS_DIR, {recursive: true});
+  const tmpDir = await fs.mkdtemp(join(LOCAL_OL_VERSIONS_DIR, '.tmp-'));
+  try {
+    await pipeline(stream, extract({cwd: tmpDir, strip: 1}));
+    const pkg = JSON.parse(
+      await fs.readFile(join(tmpDir, 'package.json'), 'utf-8'),
+    );
+    if (pkg.name !== 'ol') {
+      throw new Error(`Expected an "ol" package, got "${pkg.name}"`);
+    }
+    const name = getName(pkg);
+    const target = join(LOCAL_OL_VERSIONS_DIR, name);
+    await fs.rm(target, {recursive: true, force: true});
+    await fs.rename(tmpDir, target);
+    return name;
+  } finally {
+    await fs.rm(tmpDir, {recursive: true, force: true});
+  }
+}
+
+/**
+ * @param {string} registry Registry url
+ * @param {string} version Version or dist-tag (e.g. `dev`)
+ * @return {Promise<string>} Resolved version
+ */
+async function fetchVersion(registry, version) {
+  const metadataUrl = `${registry.replace(/\/$/, '')}/ol/${encodeURIComponent(version)}`;
+  const metadataResponse = await fetch(metadataUrl);
+  if (!metadataResponse.ok) {
+    throw new Error(
+      `Could not get the metadata of ol@${version}: ${metadataResponse.status} ${metadataResponse.statusText}`,
+    );
+  }
+  const metadata = await metadataResponse.json();
+  const tarballResponse = await fetch(metadata.dist.tarball);
+  if (!tarballResponse.ok) {
+    throw new Error(
+      `Could not download ${metadata.dist.tarball}: ${tarballResponse.status} ${tarballResponse.statusText}`,
+    );
+  }
+  const tarball = Buffer.from(await tarballResponse.arrayBuffer());
+
+  if (metadata.dist.integrity?.startsWith('sha512-')) {
+    const digest = createHash('sha512').update(tarball).digest('base64');
+    if (`sha512-${digest}` !== metadata.dist.integrity) {
+      throw new Error(`Integrity check failed for ${metadata.dist.tarball}`);
+    }
+  }
+
+  // dist-tags are stored under their own name, so that they match the entries of the version selector
+  await extractPackage(Readable.from(tarball), () => version);
+  return metadata.version;
+}
+
+async function main() {
+  const {values, positionals} = parseArgs({
+    allowPositionals: true,
+    options: {
+      tarball: {type: 'string', multiple: true, default: []},
+      registry: {
+        type: 'string',
+        default:
+          process.env.npm_config_registry || 'https://registry.npmjs.org',
+      },
+      force: {type: 'boolean', default: false},
+      help: {type: 'boolean', default: false},
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let failures = 0;
+
+  for (const file of values.tarball ?? []) {
+    try {
+      const name = await extractPackage(
+        createReadStream(file),
+        (pkg) => pkg.version,
+      );
+      console.log(`Added ${file} as ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(
+        `Failed to add ${file}: ${error instanceof Error ? error.message : error}`,
+      );
+    }
+  }
+
+  const versions = positionals.length
+    ? positionals
+    : values.tarball?.length
+      ? []
+      : SUPPORTED_OL_VERSIONS;
+  for (const version of versions) {
+    if (!values.force && existsSync(join(LOCAL_OL_VERSIONS_DIR, version))) {
+      console.log(`ol@${version} is already present, skipping`);
+      continue;
+    }
+    try {
+      const resolved = await fetchVersion(
+        /** @type {string} */ (values.registry),
+        version,
+      );
+      console.log(
+        `Fetched ol@${version}${resolved !== version ? ` (${resolved})` : ''}`,
+      );
+    } catch (error) {
+      failures++;
+      console.error(
+        `Failed to fetch ol@${version}: ${error instanceof Error ? error.message : error}`,
+      );
+    }
+  }
+
+  if (failures) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+import {existsSync, readdirSync} from 'node:fs';
+import {dirname, join, resolve} from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * OpenLayers versions that can be selected in the cases (in addition to the installed one).
+ */
+export const SUPPORTED_OL_VERSIONS = [
+  'dev',
+  '10.6.0',
+  '10.5.0',
+  '10.4.0',
+  '10.3.1',
+  '10.3.0',
+  '10.2.1',
+  '10.2.0',
+  '10.1.0',
+  '10.0.0',
+  '9.2.4',
+  '9.2.3',
+  '9.2.2',
+  '9.2.1',
+  '9.2.0',
+  '9.1.0',
+  '9.0.0',
+];
+
+/**
+ * Name of the directory (relative to the project root and to the site root) holding the local copies
+ * of OpenLayers, one sub-directory per version.
+ */
+export const LOCAL_OL_VERSIONS_DIRNAME = 'ol-versions';
+
+export const LOCAL_OL_VERSIONS_DIR = join(
+  projectRoot,
+  LOCAL_OL_VERSIONS_DIRNAME,
+);
+
+/**
+ * @return {Array<string>} Versions available in the local store
+ */
+export function listLocalOlVersions() {
+  if (!existsSync(LOCAL_OL_VERSIONS_DIR)) {
+    return [];
+  }
+  return readdirSync(LOCAL_OL_VERSIONS_DIR).filter((version) =>
+    existsSync(join(LOCAL_OL_VERSIONS_DIR, version, 'Map.js')),
+  );
+}
+
+/**
+ * Name of the directory (relative to the site root) under which local OpenLayers checkouts are served.
+ */
+export const OL_SOURCES_DIRNAME = 'ol-sources';
+
+/**
+ * @typedef {Object} OlSource
+ * @property {string} name Name shown in the version selector
+ * @property {string} dir Directory holding the OpenLayers modules (e.g. `Map.js`)
+ */
+
+/**
+ * Reads the local OpenLayers checkouts from the `OL_SOURCE` environment variable, either a single path
+ * (named `local`) or a comma-separated list of `name=path` entries. A path can point to a clone of the
+ * openlayers repository (modules are taken from `src/ol`) or directly to a directory of modules
+ * (e.g. a `build/ol` folder).
+ * @param {string} [value] Value of the setting, defaults to `process.env.OL_SOURCE`
+ * @return {Array<OlSource>} Sources
+ */
+export function getOlSources(value = process.env.OL_SOURCE) {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf('=');
+      const name = separator > 0 ? entry.slice(0, separator) : 'local';
+      const path = resolve(
+        projectRoot,
+        separator > 0 ? entry.slice(separator + 1) : entry,
+      );
+      if (!/^[\w.-]+$/.test(name)) {
+        throw new Error(
+          `Invalid OL_SOURCE name "${name}": only letters, digits, ".", "_" and "-" are allowed`,
+        );
+      }
+      const dir = [join(path, 'src', 'ol'), path].find((candidate) =>
+        existsSync(join(candidate, 'Map.js')),
+      );
+      if (!dir) {
+        throw new Error(
+          `OL_SOURCE "${name}": no OpenLayers modules found in ${path} or ${join(path, 'src', 'ol')}`,
+        );
+      }
+      return {name, dir};
+    });
+}
@@ -0,0 +1,295 @@
+/* eslint-disable no-console */
+import fs from 'node:fs/promises';
+import {dirname, join, resolve} from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {parseArgs} from 'node:util';
+import {launch} from 'puppeteer';
+import {build, createServer, preview} from 'vite';
+import {formatMetric} from '../cases/metrics.js';
+import {RENDERERS, listCases} from './cases.js';
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const configFile = join(projectRoot, 'vite.config.js');
+
+// use SwiftShader so that results do not depend on the GPU (or lack thereof) of the machine
+const CHROMIUM_ARGS = [
+  '--use-gl=angle',
+  '--use-angle=swiftshader',
+  '--enable-unsafe-swiftshader',
+  '--ignore-gpu-blocklist',
+  '--enable-unsafe-webgpu',
+  '--disable-background-timer-throttling',
+  '--disable-renderer-backgrounding',
+  '--disable-backgrounding-occluded-windows',
+];
+
+const USAGE = `Usage: npm run bench -- [options]
+
+Options:
+  --cases <names>       Comma-separated list of cases to run (default: all)
+  --renderers <names>   Comma-separated list of renderers (default: ${RENDERERS.join(',')})
+  --param <key=value>   URL parameter passed to every case (can be repeated)
+  --preset <name>       Start from this preset of each case (see the "presets" of case.json); --param values win
+  --output <file>       Where to write the results (default: benchmark-results.json)
+  --url <url>           Use an already running server instead of starting one
+  --build               Build the site and serve it with \`vite preview\` instead of the dev server
+  --browser <path>      Path to a Chromium executable (default: the one installed by Puppeteer)
+  --timeout <seconds>   Maximum duration of a single run (default: 120)
+  --no-performance      Do not enable the performance tracking (per-class timings)
+  --help                Show this message`;
+
+/**
+ * @param {string|undefined} value Comma-separated list
+ * @return {Array<string>|null} List of values
+ */
+function parseList(value) {
+  if (!value) {
+    return null;
+  }
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {Array<string>} entries Entries in the form `key=value`
+ * @return {Object<string, string>} Parameters
+ */
+function parseParams(entries) {
+  /** @type {Object<string, string>} */
+  const params = {};
+  for (const entry of entries) {
+    const index = entry.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Invalid parameter "${entry}", expected key=value`);
+    }
+    params[entry.slice(0, index)] = entry.slice(index + 1);
+  }
+  return params;
+}
+
+/**
+ * Starts a server for the site, either the dev server or a preview of a fresh build.
+ * @param {boolean} useBuild Build the site first
+ * @return {Promise<{url: string, close: function(): Promise<void>}>} Server
+ */
+async function startServer(useBuild) {
+  if (useBuild) {
+    await build({configFile, root: projectRoot, logLevel: 'warn'});
+    const server = await preview({
+      configFile,
+      root: projectRoot,
+      logLevel: 'warn',
+      preview: {port: 0, open: false},
+    });
+    const url = server.resolvedUrls?.local[0];
+    if (!url) {
+      throw new Error('Could not determine the preview server url');
+    }
+    return {url, close: () => server.close()};
+  }
+
+  const server = await createServer({
+    configFile,
+    root: projectRoot,
+    logLevel: 'warn',
+    server: {port: 0, open: false},
+  });
+  await server.listen();
+  const url = server.resolvedUrls?.local[0];
+  if (!url) {
+    throw new Error('Could not determine the dev server url');
+  }
+  return {url, close: () => server.close()};
+}
+
+/**
+ * @param {import('puppeteer').Browser} browser Browser
+ * @param {string} url Url of the case, including parameters
+ * @param {number} timeout Timeout in ms
+ * @return {Promise<import('../cases/results.js').BenchResults>} Result produced by the page
+ */
+async function runCase(browser, url, timeout) {
+  const page = await browser.newPage();
+  /** @type {Array<string>} */
+  const errors = [];
+  page.on('pageerror', (error) => {
+    errors.push(error instanceof Error ? error.message : String(error));
+  });
+  try {
+    await page.setViewport({width: 1280, height: 800, deviceScaleFactor: 1});
+    await page.goto(url, {waitUntil: 'load', timeout});
+    await page.waitForFunction(
+      // @ts-ignore
+      () => window.__benchResults?.status === 'complete',
+      {timeout, polling: 500},
+    );
+    // @ts-ignore
+    return await page.evaluate(() => window.__benchResults);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error([message, ...errors].join('\n'));
+  } finally {
+    await page.close();
+  }
+}
+
+async function main() {
+  const {values} = parseArgs({
+    options: {
+      'cases': {type: 'string'},
+      'renderers': {type: 'string'},
+      'param': {type: 'string', multiple: true, default: []},
+      'preset': {type: 'string'},
+      'output': {type: 'string', default: 'benchmark-results.json'},
+      'url': {type: 'string'},
+      'build': {type: 'boolean', default: false},
+      'browser': {type: 'string'},
+      'timeout': {type: 'string', default: '120'},
+      'no-performance': {type: 'boolean', default: false},
+      'help': {type: 'boolean', default: false},
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const availableCases = listCases();
+  const caseNames = parseList(values.cases);
+  const cases = caseNames
+    ? caseNames.map((name) => {
+        const caseInfo = availableCases.find(
+          (candidate) => candidate.name === name,
+        );
+        if (!caseInfo) {
+          throw new Error(
+            `Unknown case "${name}", available: ${availableCases.map((candidate) => candidate.name).join(', ')}`,
+          );
+        }
+        return caseInfo;
+      })
+    : availableCases;
+  const renderers = parseList(values.renderers) ?? RENDERERS;
+  for (const renderer of renderers) {
+    if (!RENDERERS.includes(renderer)) {
+      throw new Error(`Unknown renderer "${renderer}"`);
+    }
+  }
+  const params = parseParams(values.param ?? []);
+  const preset = values.preset;
+  if (preset) {
+    const missing = cases.filter((caseInfo) => !(preset in caseInfo.presets));
+    if (missing.length) {
+      throw new Error(
+        `Preset "${preset}" is not defined for ${missing.map((caseInfo) => caseInfo.name).join(', ')}`,
+      );
+    }
+  }
+  const timeout = Number.parseFloat(values.timeout ?? '120') * 1000;
+
+  const server = values.url
+    ? {url: values.url, close: async () => {}}
+    : await startServer(!!values.build);
+
+  let browser;
+  try {
+    browser = await launch({
+      headless: true,
+      executablePath: values.browser ?? process.env.CHROME_PATH,
+      args: CHROMIUM_ARGS,
+    });
+  } catch (error) {
+    await server.close();
+    throw error;
+  }
+
+  const runs = [];
+  let failures = 0;
+  try {
+    for (const {name: caseName, renderers: supported, presets} of cases) {
+      /** @type {Object<string, string>} */
+      const caseParams = {};
+      for (const [key, value] of Object.entries(
+        preset ? presets[preset] : {},
+      )) {
+        caseParams[key] = String(value);
+      }
+      Object.assign(caseParams, params);
+      for (const renderer of renderers) {
+        if (!supported.includes(renderer)) {
+          console.log(`Skipping ${caseName} (${renderer}): not supported`);
+          continue;
+        }
+        const url = new URL(`cases/${caseName}/`, server.url);
+        for (const [key, value] of Object.entries(caseParams)) {
+          url.searchParams.set(key, value);
+        }
+        url.searchParams.set('renderer', renderer);
+        url.searchParams.set(
+          'performance',
+          values['no-performance'] ? 'no' : 'yes',
+        );
+        url.searchParams.set('autorun', 'yes');
+
+        console.log(`Running ${caseName} (${renderer})…`);
+        try {
+          const result = await runCase(browser, url.href, timeout);
+          const {fps, frameStats, renderer: activeRenderer} = result;
+          if (activeRenderer !== renderer) {
+            console.warn(
+              `  the page fell back to ${activeRenderer} instead of ${renderer}`,
+            );
+          }
+          console.log(
+            `  ${formatMetric(fps)} fps, p95 ${formatMetric(frameStats?.p95 ?? null)}ms, p99 ${formatMetric(frameStats?.p99 ?? null)}ms`,
+          );
+          runs.push({
+            case: caseName,
+            // the renderer actually used by the page, in case it fell back to another one
+            renderer: activeRenderer,
+            requestedRenderer: renderer,
+            params: caseParams,
+            url: url.href,
+            result,
+          });
+        } catch (error) {
+          failures++;
+          const message =
+            error instanceof Error ? error.message : String(error);
+          console.error(`  failed: ${message}`);
+          runs.push({
+            case: caseName,
+            renderer,
+            requestedRenderer: renderer,
+            params: caseParams,
+            url: url.href,
+            error: message,
+          });
+        }
+      }
+    }
+
+    const output = {
+      createdAt: new Date().toISOString(),
+      userAgent: await browser.userAgent(),
+      runs,
+    };
+    await fs.writeFile(values.output, JSON.stringify(output, null, 2));
+    console.log(`Results written to ${values.output}`);
+  } finally {
+    await browser.close();
+    await server.close();
+  }
+
+  if (failures) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -1,10 +1,18 @@
-import {existsSync, readdirSync, realpathSync} from 'fs';
+import {createReadStream, existsSync, realpathSync} from 'fs';
 import fs from 'fs/promises';
-import {join, resolve} from 'path';
+import {extname, join, resolve, sep} from 'path';
 import {defineConfig} from 'vite';
 import {dependencies} from './package.json';
+import {CASES_DIR, listCases} from './tasks/cases.js';
+import {
+  LOCAL_OL_VERSIONS_DIR,
+  LOCAL_OL_VERSIONS_DIRNAME,
+  OL_SOURCES_DIRNAME,
+  SUPPORTED_OL_VERSIONS,
+  getOlSources,
+  listLocalOlVersions,
+} from './tasks/ol-versions.js';
 
-const casesDir = resolve(__dirname, 'cases');
 const projectRoot = resolve(__dirname);
 const fsAllow = [projectRoot];
 try {
@@ -15,17 +23,25 @@ try {
   // ignore
 }
 
+// local OpenLayers checkouts given through the OL_SOURCE env variable, e.g. `OL_SOURCE=main=../openlayers,feature=../ol-feature`
+const olSources = getOlSources();
+
 const input = {
   main: resolve(__dirname, 'index.html'),
+  compare: resolve(__dirname, 'pages/compare/index.html'),
+  history: resolve(__dirname, 'pages/history/index.html'),
+  // the `geotiff` package for the import map, see `cases/geotiff.js`
+  geotiff: resolve(__dirname, 'cases/geotiff.js'),
 };
 
-for (const name of readdirSync(casesDir)) {
-  const candidate = join(casesDir, name, 'index.html');
-  if (existsSync(candidate)) {
-    input[name] = candidate;
-  }
+// cases are the directories under `cases/` holding an `index.html` and a `case.json`
+const caseNames = listCases().map((caseInfo) => caseInfo.name);
+for (const name of caseNames) {
+  input[name] = join(CASES_DIR, name, 'index.html');
 }
 
+const CASE_MANIFEST_PATH = 'cases/manifest.json';
+
 // this Vite plugin will put the import map before anything else to have it properly work in dev
 const putImportmapFirst = () => ({
   name: 'put-importmap-first',
@@ -42,6 +58,83 @@ ${importmapLine}`,
   },
 });
 
+// this Vite plugin will tell the import map script which OL versions are available locally (see `npm run fetch-ol-versions`)
+// and which local checkouts are mounted (see `OL_SOURCE`)
+const addLocalOlVersions = () => ({
+  name: 'add-local-ol-versions',
+  transformIndexHtml(html) {
+    return html.replace(
+      /(<script [^>]*create-importmap\.js")/,
+      `$1 data-local-ol-versions="${listLocalOlVersions().join(',')}" data-ol-sources="${olSources.map((source) => source.name).join(',')}"`,
+    );
+  },
+});
+
+const contentTypes = {
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.css': 'text/css',
+  '.map': 'application/json',
+};
+
+// this Vite plugin will serve the local OL checkouts as-is (like a CDN would) in dev
+const serveOlSources = () => ({
+  name: 'serve-ol-sources',
+  apply: 'serve',
+  configureServer(server) {
+    server.middlewares.use(
+      `${server.config.base}${OL_SOURCES_DIRNAME}`,
+      (req, res, next) => {
+        const [name, ...rest] = decodeURIComponent(
+          (req.url ?? '').split('?')[0],
+        )
+          .split('/')
+          .filter(Boolean);
+        const source = olSources.find((candidate) => candidate.name === name);
+        if (!source) {
+          next();
+          return;
+        }
+        const file = resolve(source.dir, ...rest);
+        if (!file.startsWith(source.dir + sep) || !existsSync(file)) {
+          res.statusCode = 404;
+          res.end();
+          return;
+        }
+        res.setHeader(
+          'Content-Type',
+          contentTypes[extname(file)] ?? 'application/octet-stream',
+        );
+        res.setHeader('Cache-Control', 'no-cache');
+        createReadStream(file).pipe(res);
+      },
+    );
+  },
+});
+
+// this Vite plugin will provide the metadata of all the cases as `cases/manifest.json`, used by the landing page
+const addCaseManifest = () => ({
+  name: 'add-case-manifest',
+  configureServer(server) {
+    server.middlewares.use(
+      `${server.config.base}${CASE_MANIFEST_PATH}`,
+      (req, res) => {
+        // read again on every request so that changes to `case.json` files show up without a restart
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(listCases()));
+      },
+    );
+  },
+  generateBundle() {
+    this.emitFile({
+      type: 'asset',
+      fileName: CASE_MANIFEST_PATH,
+      source: JSON.stringify(listCases(), null, 2),
+    });
+  },
+});
+
 // this Vite plugin will copy node_modules/ol and its dependencies to the assets at build time
 const addNodeModulesToDist = () => {
   return {
@@ -57,9 +150,23 @@ const addNodeModulesToDist = () => {
         ['./node_modules/rbush', './dist/node_modules/rbush'],
         ['./node_modules/quickselect', './dist/node_modules/quickselect'],
         ['./node_modules/earcut', './dist/node_modules/earcut'],
+        ['./node_modules/pbf', './dist/node_modules/pbf'],
         // also copy the import map script
         ['./cases/create-importmap.js', './dist/cases/create-importmap.js'],
       ];
+      // also copy the local OL checkouts and the OL versions available locally
+      for (const source of olSources) {
+        toCopy.push([
+          source.dir,
+          `./dist/${OL_SOURCES_DIRNAME}/${source.name}`,
+        ]);
+      }
+      for (const version of listLocalOlVersions()) {
+        toCopy.push([
+          join(LOCAL_OL_VERSIONS_DIR, version),
+          `./dist/${LOCAL_OL_VERSIONS_DIRNAME}/${version}`,
+        ]);
+      }
       await Promise.all(
         toCopy.map(([src, dest]) =>
           fs.cp(src, dest, {
@@ -82,30 +189,17 @@ const addNodeModulesToDist = () => {
   };
 };
 
-// list of supported OL versions and current one
-const SUPPORTED_OL_VERSIONS = [
-  'dev',
-  '10.6.0',
-  '10.5.0',
-  '10.4.0',
-  '10.3.1',
-  '10.3.0',
-  '10.2.1',
-  '10.2.0',
-  '10.1.0',
-  '10.0.0',
-  '9.2.4',
-  '9.2.3',
-  '9.2.2',
-  '9.2.1',
-  '9.2.0',
-  '9.1.0',
-  '9.0.0',
-];
+// current OL version
 const CURRENT_OL_VERSION = dependencies.ol;
 
 export default defineConfig({
-  plugins: [putImportmapFirst(), addNodeModulesToDist()],
+  plugins: [
+    addLocalOlVersions(),
+    addCaseManifest(),
+    serveOlSources(),
+    putImportmapFirst(),
+    addNodeModulesToDist(),
+  ],
   resolve: {
     preserveSymlinks: true,
   },
@@ -117,8 +211,15 @@ export default defineConfig({
   build: {
     rollupOptions: {
       input,
+      // keep the exports of `cases/geotiff.js`
+      preserveEntrySignatures: 'exports-only',
       output: {
         esModule: true,
+        // `cases/geotiff.js` is found at the same path as in dev by the import map
+        entryFileNames: (chunk) =>
+          chunk.name === 'geotiff'
+            ? 'cases/geotiff.js'
+            : 'assets/[name]-[hash].js',
       },
       external: [/^ol\//],
     },
@@ -126,13 +227,21 @@ export default defineConfig({
   define: {
     // list of OL version as env
     '__OL_VERSIONS': JSON.stringify([
-      CURRENT_OL_VERSION,
-      ...SUPPORTED_OL_VERSIONS,
+      ...new Set([
+        CURRENT_OL_VERSION,
+        ...SUPPORTED_OL_VERSIONS,
+        ...listLocalOlVersions(),
+        ...olSources.map((source) => source.name),
+      ]),
     ]),
     '__DEFAULT_OL_VERSION': JSON.stringify(CURRENT_OL_VERSION),
+    // list of cases (directory names under `cases/`)
+    '__CASES': JSON.stringify(caseNames),
   },
   optimizeDeps: {
     noDiscovery: true,
+    // depends on CommonJS modules, which have to be converted in dev
+    include: ['geotiff'],
   },
   esbuild: {
     minifyIdentifiers: false,